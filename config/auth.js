@@ -0,0 +1,16 @@
+// config/auth.js
+// JWT settings used for issuing and verifying access and refresh tokens.
+require('dotenv').config();
+const logger = require('./logger');
+
+if (!process.env.JWT_SECRET || !process.env.JWT_REFRESH_SECRET) {
+  logger.warn('JWT_SECRET and JWT_REFRESH_SECRET should be set; tokens cannot be issued without them');
+}
+
+module.exports = {
+  accessTokenSecret: process.env.JWT_SECRET,
+  refreshTokenSecret: process.env.JWT_REFRESH_SECRET,
+  accessTokenExpiresIn: process.env.JWT_EXPIRES_IN || '15m',
+  refreshTokenExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
+  issuer: process.env.JWT_ISSUER || 'versablog-backend'
+};
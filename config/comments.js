@@ -0,0 +1,26 @@
+// config/comments.js
+// Comment moderation settings and spam heuristics.
+require('dotenv').config();
+
+const parseList = (value) => (value || '')
+  .split(',')
+  .map(word => word.trim().toLowerCase())
+  .filter(Boolean);
+
+module.exports = {
+  // Replies nested deeper than this are attached to the deepest allowed comment
+  maxDepth: parseInt(process.env.COMMENT_MAX_DEPTH, 10) || 5,
+  // Publish comments that pass the spam checks without waiting for moderation
+  autoApprove: process.env.COMMENT_AUTO_APPROVE === 'true',
+  // Comments scoring at least this much are marked as spam
+  spamThreshold: parseInt(process.env.COMMENT_SPAM_THRESHOLD, 10) || 3,
+  // Links allowed before a comment becomes suspicious
+  maxLinks: parseInt(process.env.COMMENT_MAX_LINKS, 10) || 2,
+  // Comma-separated words that mark a comment as spam
+  bannedWords: parseList(process.env.COMMENT_BANNED_WORDS),
+  // Comments allowed per IP address within the rate window
+  ratePerIp: parseInt(process.env.COMMENT_RATE_PER_IP, 10) || 5,
+  rateWindowMinutes: parseInt(process.env.COMMENT_RATE_WINDOW_MINUTES, 10) || 10,
+  // Identical comments within this window count as duplicates
+  duplicateWindowHours: parseInt(process.env.COMMENT_DUPLICATE_WINDOW_HOURS, 10) || 24
+};
@@ -0,0 +1,17 @@
+// config/engagement.js
+// View counting and reaction settings.
+require('dotenv').config();
+
+module.exports = {
+  // Repeat views of a post by the same visitor within this window count once
+  viewWindowMinutes: parseInt(process.env.VIEW_DEDUPE_WINDOW_MINUTES, 10) || 30,
+  // How often buffered view counts are written to the posts
+  viewFlushIntervalMs: parseInt(process.env.VIEW_FLUSH_INTERVAL_MS, 10) || 5000,
+  // Views and reaction changes allowed per IP address within the rate window. Readers behind
+  // one NAT share an address, so the defaults are generous.
+  viewRatePerIp: parseInt(process.env.VIEW_RATE_PER_IP, 10) || 300,
+  reactionRatePerIp: parseInt(process.env.REACTION_RATE_PER_IP, 10) || 60,
+  rateWindowMinutes: parseInt(process.env.ENGAGEMENT_RATE_WINDOW_MINUTES, 10) || 10,
+  // Reactions readers can leave on a post
+  reactionTypes: ['like', 'love', 'insightful', 'celebrate', 'funny']
+};
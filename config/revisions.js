@@ -0,0 +1,16 @@
+// config/revisions.js
+// Retention policy for post revision history.
+require('dotenv').config();
+
+// Unset or invalid values fall back to the default; 0 is a valid setting
+const parseLimit = (value, fallback) => {
+  const limit = parseInt(value, 10);
+  return Number.isNaN(limit) ? fallback : limit;
+};
+
+module.exports = {
+  // Maximum number of revisions kept per post (0 = unlimited)
+  maxPerPost: parseLimit(process.env.REVISION_MAX_PER_POST, 50),
+  // Revisions older than this many days are pruned (0 = keep regardless of age)
+  maxAgeDays: parseLimit(process.env.REVISION_MAX_AGE_DAYS, 0)
+};
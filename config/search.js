@@ -0,0 +1,12 @@
+// config/search.js
+// Search backend settings.
+require('dotenv').config();
+
+module.exports = {
+  // Search backend to use; 'memory' is the built-in in-process index (see services/search)
+  backend: process.env.SEARCH_BACKEND || 'memory',
+  // Language of posts that do not set one, and of queries that do not ask for one
+  defaultLanguage: process.env.SEARCH_DEFAULT_LANGUAGE || 'en',
+  // How often each server instance picks up changes made elsewhere (other instances, scripts)
+  syncIntervalMs: parseInt(process.env.SEARCH_SYNC_INTERVAL_MS, 10) || 60000
+};
@@ -0,0 +1,43 @@
+// config/site.js
+// Public site settings, used where the backend links to the frontend (e.g. feeds, sitemaps, SEO metadata).
+require('dotenv').config();
+
+// Trailing slashes are dropped so paths can be appended
+const trimUrl = (url) => url.replace(/\/+$/, '');
+
+const siteUrl = trimUrl(process.env.SITE_URL || 'http://localhost:3000');
+
+// Frontend URL patterns; each :field is replaced with that field of the post, category, tag or author
+const paths = {
+  post: process.env.SITE_POST_PATH || '/posts/:slug',
+  category: process.env.SITE_CATEGORY_PATH || '/categories/:slug',
+  tag: process.env.SITE_TAG_PATH || '/tags/:name',
+  author: process.env.SITE_AUTHOR_PATH || '/authors/:slug'
+};
+
+const expandPath = (pattern, document) => {
+  return siteUrl + pattern.replace(/:(\w+)/g, (_, field) => encodeURIComponent(String(document[field] ?? '')));
+};
+
+module.exports = {
+  url: siteUrl,
+  title: process.env.SITE_TITLE || 'Versa Blog',
+  description: process.env.SITE_DESCRIPTION || '',
+  // ISO 639-1 code of the site
+  language: process.env.SITE_LANGUAGE || 'en',
+  // Twitter/X account of the site, e.g. @versablog
+  twitterHandle: process.env.SITE_TWITTER_HANDLE || null,
+  // Share image for pages without one of their own
+  defaultImage: process.env.SITE_DEFAULT_IMAGE || null,
+  paths,
+  postUrl: (post) => expandPath(paths.post, post),
+  categoryUrl: (category) => expandPath(paths.category, category),
+  tagUrl: (tag) => expandPath(paths.tag, tag),
+  authorUrl: (author) => expandPath(paths.author, author),
+  // Where the frontend serves /sitemap.xml and the sitemaps it lists (proxied to this backend)
+  sitemapUrl: trimUrl(process.env.SITEMAP_BASE_URL || siteUrl),
+  // Posts per feed
+  feedSize: parseInt(process.env.FEED_SIZE, 10) || 20,
+  // Default feed content: 'full' (the rendered post) or 'excerpt'
+  feedContent: process.env.FEED_CONTENT === 'excerpt' ? 'excerpt' : 'full'
+};
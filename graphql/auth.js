@@ -0,0 +1,21 @@
+// graphql/auth.js
+// Guards used by resolvers to enforce authentication and role-based authorization.
+// The authenticated user is placed on the context by server.js.
+const { AuthenticationError, ForbiddenError } = require('apollo-server-express');
+
+const requireAuth = (context) => {
+  if (!context.user) {
+    throw new AuthenticationError('Authentication required');
+  }
+  return context.user;
+};
+
+const requireRole = (context, roles) => {
+  const user = requireAuth(context);
+  if (!roles.includes(user.role)) {
+    throw new ForbiddenError('You do not have permission to perform this action');
+  }
+  return user;
+};
+
+module.exports = { requireAuth, requireRole };
@@ -0,0 +1,29 @@
+// graphql/errors.js
+// Typed GraphQL errors used by resolvers and services, in addition to the ones Apollo provides.
+const { ApolloError } = require('apollo-server-express');
+
+// Thrown when a write is based on a stale version of a document
+class ConflictError extends ApolloError {
+  constructor(message, { currentVersion, expectedVersion, changedFields = [] } = {}) {
+    super(message, 'CONFLICT', { currentVersion, expectedVersion, changedFields });
+    Object.defineProperty(this, 'name', { value: 'ConflictError' });
+  }
+}
+
+// Thrown when the document an operation is about does not exist
+class NotFoundError extends ApolloError {
+  constructor(message) {
+    super(message, 'NOT_FOUND');
+    Object.defineProperty(this, 'name', { value: 'NotFoundError' });
+  }
+}
+
+// Thrown when a client sends more requests than allowed within a time window
+class RateLimitError extends ApolloError {
+  constructor(message) {
+    super(message, 'RATE_LIMIT_EXCEEDED');
+    Object.defineProperty(this, 'name', { value: 'RateLimitError' });
+  }
+}
+
+module.exports = { ConflictError, NotFoundError, RateLimitError };
@@ -0,0 +1,67 @@
+// graphql/formatError.js
+// Shapes errors before they reach GraphQL clients. Mongoose validation and cast errors become
+// BAD_USER_INPUT and duplicate keys CONFLICT, with the fields at fault in extensions.fields.
+// Other errors without a client-facing code are logged, and in production their message is
+// replaced so database and driver details do not leak.
+const logger = require('../config/logger');
+
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+// Extensions (code and fields) and message for a Mongoose or MongoDB error, or null for other errors
+const describeDatabaseError = (error) => {
+  if (!error) return null;
+
+  if (error.name === 'ValidationError' && error.errors) {
+    const fields = Object.values(error.errors).map(fieldError => ({
+      field: fieldError.path,
+      message: fieldError.name === 'CastError' ? `Invalid value for ${fieldError.path}` : fieldError.message
+    }));
+    return {
+      message: fields.map(field => field.message).join('; '),
+      extensions: { code: 'BAD_USER_INPUT', fields }
+    };
+  }
+
+  if (error.name === 'CastError') {
+    return {
+      message: `Invalid value for ${error.path}`,
+      extensions: { code: 'BAD_USER_INPUT', fields: [{ field: error.path, message: `Invalid value for ${error.path}` }] }
+    };
+  }
+
+  if (error.code === 11000) {
+    const fields = Object.keys(error.keyValue || error.keyPattern || {});
+    const message = fields.length > 0 ? `${fields.join(', ')} is already taken` : 'Duplicate value';
+    return {
+      message,
+      extensions: { code: 'CONFLICT', fields: fields.map(field => ({ field, message: `${field} is already taken` })) }
+    };
+  }
+
+  return null;
+};
+
+const formatError = (error) => {
+  const database = describeDatabaseError(error.originalError);
+  if (database) {
+    return { message: database.message, locations: error.locations, path: error.path, extensions: database.extensions };
+  }
+
+  const code = error.extensions && error.extensions.code;
+  if (code && code !== 'INTERNAL_SERVER_ERROR') return error;
+
+  logger.error({
+    message: error.message,
+    stack: error.originalError ? error.originalError.stack : error.stack,
+    path: error.path
+  });
+  if (!isProduction()) return error;
+  return {
+    message: 'An internal error occurred',
+    locations: error.locations,
+    path: error.path,
+    extensions: { code: 'INTERNAL_SERVER_ERROR' }
+  };
+};
+
+module.exports = { formatError };
@@ -7,131 +7,589 @@ const Post = require('../models/Post');
 const Image = require('../models/Image');
 const Tag = require('../models/Tag');
 const Category = require('../models/Category');
+const User = require('../models/User');
+const Author = require('../models/Author');
+const PostRevision = require('../models/PostRevision');
+const Redirect = require('../models/Redirect');
+const Comment = require('../models/Comment');
+const { AuthenticationError, ForbiddenError, UserInputError } = require('apollo-server-express');
+const { diffRevisions } = require('../utils/revisionDiff');
+const { requireAuth, requireRole } = require('./auth');
+const {
+  EDITOR_ROLES,
+  PUBLISHER_ROLES,
+  issueTokens,
+  verifyRefreshToken,
+  canEditPost
+} = require('../middleware/auth');
+const { applyTransition, availableActions } = require('../services/workflow');
+const { savePostVersion } = require('../services/postVersions');
+const { ConflictError, NotFoundError } = require('./errors');
+const { validateArgs } = require('./validation');
+const { schemas } = require('../middleware/validation');
+const { paginate, paginateRanked, TEXT_SCORE_FIELD } = require('../utils/pagination');
+const { createPost, updatePost, deletePost } = require('../services/postService');
+const {
+  tagSearchFilter,
+  createTag,
+  updateTag,
+  deleteTag,
+  mergeTags
+} = require('../services/tagService');
+const {
+  createCategory,
+  updateCategory,
+  moveCategory,
+  reorderCategories,
+  categoryTree,
+  deleteCategory,
+  deactivateCategory
+} = require('../services/categoryService');
+const {
+  isModerator,
+  addComment,
+  moderateComments,
+  deleteComment
+} = require('../services/commentService');
+const {
+  visitorFromRequest,
+  recordView,
+  addReaction,
+  removeReaction,
+  reactionCounts
+} = require('../services/engagement');
+const { buildPostFilter, search: searchPostsWithFacets } = require('../services/postSearch');
+const { searchPostIds, searchSuggestions, rebuildSearchIndex } = require('../services/search');
+const { postSeo, categorySeo } = require('../services/seo');
+const { relatedPosts, pinRelatedPosts } = require('../services/relatedPosts');
+const {
+  trendingPosts,
+  topCategories,
+  publishingCadence,
+  viewsOverTime,
+  postsSummary
+} = require('../services/analytics');
+const { htmlToBlocks, embedProvider } = require('../utils/contentBlocks');
+
+// Statuses a post can carry an unpublish date in
+const LIVE_STATUSES = ['published', 'scheduled'];
+
+// Roles that may be assigned to review posts
+const REVIEWER_ROLES = ['admin', 'editor', 'author'];
+
+// Upper bound for searchSuggestions(limit)
+const MAX_SUGGESTIONS = 20;
+
+// Fields copied back onto a post when a revision is restored (publishing state is left alone)
+const RESTORABLE_FIELDS = ['title', 'content', 'contentFormat', 'blocks', 'slug', 'categories', 'metaTitle', 'metaDescription'];
+
+// GraphQL type of each content block type
+const BLOCK_TYPE_NAMES = {
+  paragraph: 'ParagraphBlock',
+  heading: 'HeadingBlock',
+  image: 'ImageBlock',
+  quote: 'QuoteBlock',
+  code: 'CodeBlock',
+  embed: 'EmbedBlock',
+  list: 'ListBlock',
+  callout: 'CalloutBlock',
+  divider: 'DividerBlock'
+};
+
+// Attach Image documents to image blocks, by ID or (for blocks converted from HTML) by URL
+const attachBlockImages = async (blocks) => {
+  const imageBlocks = blocks.filter(block => block.type === 'image');
+  if (imageBlocks.length === 0) return blocks;
+
+  const ids = imageBlocks.filter(block => block.imageId).map(block => block.imageId);
+  const urls = imageBlocks.filter(block => !block.imageId && block.src).map(block => block.src);
+  const images = await Image.find({ $or: [{ _id: { $in: ids } }, { url: { $in: urls } }] });
+  const byId = new Map(images.map(image => [image.id, image]));
+  const byUrl = new Map(images.map(image => [image.url, image]));
+
+  return blocks.map(block => {
+    if (block.type !== 'image') return block;
+    const image = block.imageId ? byId.get(String(block.imageId)) : byUrl.get(block.src);
+    return { ...block, image: image || null };
+  });
+};
+
+// Load a post the current user is allowed to edit, or throw
+const findEditablePost = async (postId, user) => {
+  const post = await Post.findById(postId);
+  if (!post) {
+    throw new NotFoundError('Post not found');
+  }
+  if (!canEditPost(user, post)) {
+    throw new ForbiddenError('You can only edit your own posts');
+  }
+  return post;
+};
+
+// Resolve an orderBy argument (already mapped to internal enum values) to a sort field and direction
+const resolveOrder = (orderBy, defaults, { hasText = false } = {}) => {
+  const field = orderBy ? orderBy.field : defaults.field;
+  const direction = orderBy && orderBy.direction ? orderBy.direction : defaults.direction;
+  if (field === TEXT_SCORE_FIELD && !hasText) {
+    throw new UserInputError('RELEVANCE ordering is only available for text searches');
+  }
+  return { sortField: field, direction };
+};
 
 const resolvers = {
   Query: {
 
-    tags: async () => {
-      return await Tag.find({});
+    me: (_, __, context) => context.user || null,
+
+    // Look a tag up by ID, or by name where aliases resolve to the canonical tag
+    tag: async (_, { id, name }) => {
+      if (id) return await Tag.findById(id);
+      if (name) return await Tag.findByNameOrAlias(name);
+      throw new UserInputError('Provide either id or name');
+    },
+
+    postRevisions: async (_, { postId }, context) => {
+      const user = requireAuth(context);
+      await findEditablePost(postId, user);
+      return await PostRevision.find({ post: postId }).sort({ version: -1 });
+    },
+    postRevisionDiff: async (_, { postId, from, to, granularity }, context) => {
+      const user = requireAuth(context);
+      await findEditablePost(postId, user);
+
+      const revisions = await PostRevision.find({ post: postId, version: { $in: [from, to] } });
+      const fromRevision = revisions.find(revision => revision.version === from);
+      const toRevision = revisions.find(revision => revision.version === to);
+      if (!fromRevision || !toRevision) {
+        throw new NotFoundError(`Revision ${!fromRevision ? from : to} not found for this post`);
+      }
+
+      return {
+        postId,
+        from,
+        to,
+        fields: diffRevisions(fromRevision, toRevision, granularity)
+      };
+    },
+
+    comments: async (_, { postId, ...args }) => {
+      return await paginate(Comment, {
+        filter: { post: postId, parent: null, status: 'approved' },
+        sortField: 'createdAt',
+        direction: 1,
+        args
+      });
+    },
+    moderationQueue: async (_, { status, postId, ...args }, context) => {
+      requireRole(context, EDITOR_ROLES);
+      const filter = { status };
+      if (postId) filter.post = postId;
+      return await paginate(Comment, { filter, sortField: 'createdAt', direction: -1, args });
+    },
+
+    postBySlug: async (_, { slug }) => {
+      const post = await Post.findBySlug(slug);
+      if (!post) return null;
+      return { post, canonicalSlug: post.slug, isRedirect: post.slug !== slug.trim().toLowerCase() };
+    },
+    categoryBySlug: async (_, { slug }) => {
+      const category = await Category.findBySlug(slug);
+      if (!category) return null;
+      return { category, canonicalSlug: category.slug, isRedirect: category.slug !== slug.trim().toLowerCase() };
+    },
+    resolveRedirect: async (_, { path }) => await Redirect.resolve(path),
+    redirects: async (_, args, context) => {
+      requireRole(context, ['admin']);
+      return await paginate(Redirect, { filter: {}, sortField: 'createdAt', direction: -1, args });
+    },
+
+    author: async (_, { slug }) => await Author.findOne({ slug: slug.toLowerCase() }),
+    authors: async () => await Author.find({}).sort({ displayName: 1 }),
+
+    tags: async (_, { search, orderBy, ...args }) => {
+      return await paginate(Tag, {
+        filter: tagSearchFilter(search),
+        ...resolveOrder(orderBy, { field: 'name', direction: 1 }),
+        args
+      });
     },
 
-    posts: async () => await Post.find({}),
+    posts: async (_, { orderBy, ...args }) => {
+      return await paginate(Post, {
+        filter: {},
+        ...resolveOrder(orderBy, { field: 'publishedAt', direction: -1 }),
+        args
+      });
+    },
     post: async (_, { id }) => await Post.findById(id),
-    categories: async () => await Category.find({}),
+    categories: async (_, { orderBy, ...args }) => {
+      return await paginate(Category, {
+        filter: {},
+        ...resolveOrder(orderBy, { field: 'sortOrder', direction: 1 }),
+        args
+      });
+    },
     category: async (_, { id }) => await Category.findById(id),
+    categoryTree: async (_, { rootId, depth }) => await categoryTree({ rootId, depth }),
 
     // Resolver for postsSummary query
-    postsSummary: async () => {
-      // Count all posts and specific statuses using Mongoose's countDocuments method.
-      const totalPosts = await Post.countDocuments({});
-      const drafts = await Post.countDocuments({ status: 'draft' });
-      const published = await Post.countDocuments({ status: 'published' });
-      const pending = await Post.countDocuments({ status: 'pending' });
+    postsSummary: async (_, { from, to, categoryId }) => await postsSummary({ from, to, categoryId }),
 
-      return {
-        totalPosts,
-        drafts,
-        published,
-        pending,
-      };
+    // ===== ANALYTICS =====
+    trendingPosts: async (_, args) => await trendingPosts(args),
+    topCategories: async (_, args, context) => {
+      requireRole(context, PUBLISHER_ROLES);
+      return await topCategories(args);
+    },
+    publishingCadence: async (_, args, context) => {
+      requireRole(context, PUBLISHER_ROLES);
+      return await publishingCadence(args);
+    },
+    viewsOverTime: async (_, args, context) => {
+      requireRole(context, PUBLISHER_ROLES);
+      return await viewsOverTime(args);
+    },
+
+    reviewQueue: async (_, { assignedToMe }, context) => {
+      const user = requireAuth(context);
+      const query = { status: 'pending' };
+      // Only editors can look at the whole queue
+      if (assignedToMe || !EDITOR_ROLES.includes(user.role)) {
+        query.reviewers = user._id;
+      }
+      // Longest-waiting posts first
+      return await Post.find(query).sort({ updatedAt: 1 });
     },
 
     recentPosts: async () => {
       // Return the 5 most recent published posts, sorted by publishedAt descending.
-      return await Post.find({ status: 'published' })
+      return await Post.find(Post.publishedQuery())
         .sort({ publishedAt: -1 })
         .limit(5);
     },
-    
-    // Full-text search resolver (from previous implementation)
-    searchPosts: async (_, { query }) => {
-      return await Post.find(
-        { $text: { $search: query } },
-        { score: { $meta: "textScore" } }
-      ).sort({ score: { $meta: "textScore" } });
+
+    scheduledPosts: async (_, __, context) => {
+      const user = requireRole(context, PUBLISHER_ROLES);
+      const query = { status: 'scheduled' };
+      // Authors only see their own schedule
+      if (!EDITOR_ROLES.includes(user.role)) {
+        query.createdBy = user._id;
+      }
+      return await Post.find(query).sort({ scheduledFor: 1 });
     },
     
-    // New resolver for dynamic filtering
-filteredPosts: async (_, { filter = {} }) => {
-  const queryObj = {};
-
-  // 1. Handle search text (using regex or text search)
-  if (filter.searchText) {
-    // Option 1: Use regex search (case-insensitive)
-    queryObj.$or = [
-      { title: { $regex: filter.searchText, $options: 'i' } },
-      { content: { $regex: filter.searchText, $options: 'i' } }
-    ];
+    // Typo-tolerant search of published posts through the search index (services/search)
+    searchPosts: async (_, { query, language, orderBy, ...args }) => {
+      const hits = await searchPostIds(query, { language });
+      // The index may briefly lag behind, so only posts that are still live are returned
+      if (!orderBy || orderBy.field === TEXT_SCORE_FIELD) {
+        return await paginateRanked(hits, {
+          args,
+          load: (ids) => Post.find({ _id: { $in: ids }, ...Post.publishedQuery() })
+        });
+      }
+      return await paginate(Post, {
+        filter: { _id: { $in: hits.map(hit => hit.id) }, ...Post.publishedQuery() },
+        ...resolveOrder(orderBy, { field: 'publishedAt', direction: -1 }),
+        args
+      });
+    },
+    searchSuggestions: async (_, { prefix, limit }) => {
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SUGGESTIONS) {
+        throw new UserInputError(`limit must be an integer between 1 and ${MAX_SUGGESTIONS}`);
+      }
+      return await searchSuggestions(prefix, { limit });
+    },
     
-    // OR Option 2: Use MongoDB text search (more efficient)
-    // queryObj.$text = { $search: filter.searchText };
-  }
-
-  // 2. Handle category filter (fixed to match the input type)
-  if (filter.categoryId) {
-    queryObj.categories = filter.categoryId;
-  }
-
-  // 3. Other filters (status, date range etc.)
-  if (filter.status) {
-    queryObj.status = filter.status;
-  }
-
-  if (filter.publishedAfter || filter.publishedBefore) {
-    queryObj.publishedAt = {};
-    if (filter.publishedAfter) {
-      queryObj.publishedAt.$gte = new Date(filter.publishedAfter);
-    }
-    if (filter.publishedBefore) {
-      queryObj.publishedAt.$lte = new Date(filter.publishedBefore);
-    }
-  }
+    // Posts matching a PostFilter; searchText uses the text index and makes RELEVANCE ordering available
+    filteredPosts: async (_, { filter = {}, orderBy, ...args }) => {
+      const { filter: match, hasText } = await buildPostFilter(filter);
+      return await paginate(Post, {
+        filter: match,
+        ...resolveOrder(orderBy, { field: 'publishedAt', direction: -1 }, { hasText }),
+        args
+      });
+    },
 
-  // Populate categories and return results
-  return await Post.find(queryObj).populate('categories');
-}
+    search: async (_, { input }, context) => await searchPostsWithFacets(input, { user: context.user })
 },
 
   
   Mutation: {
-    createPost: async (_, args) => {
-      const post = new Post(args);
-      return await post.save();
+    login: async (_, { email, password }) => {
+      const user = await User.findByCredentials(email, password);
+      if (!user) {
+        throw new AuthenticationError('Invalid email or password');
+      }
+      user.lastLoginAt = new Date();
+      await user.save();
+      return issueTokens(user);
     },
-    updatePost: async (_, { id, ...updates }) => {
-      const post = await Post.findByIdAndUpdate(
-        id,
-        { ...updates, $inc: { version: 1 }, updatedAt: Date.now() },
-        { new: true }
-      );
-      return post;
+    refreshToken: async (_, { refreshToken }) => {
+      const user = await verifyRefreshToken(refreshToken);
+      if (!user) {
+        throw new AuthenticationError('Invalid or expired refresh token');
+      }
+      return issueTokens(user);
     },
-    deletePost: async (_, { id }) => {
-      await Post.findByIdAndDelete(id);
+    logout: async (_, __, context) => {
+      const user = requireAuth(context);
+      // Bumping the token version revokes every token issued so far
+      await User.updateOne({ _id: user._id }, { $inc: { tokenVersion: 1 } });
       return true;
     },
-    createCategory: async (_, { name, slug, description, parentId }) => {
-      const category = new Category({
-        name,
-        slug,
-        description,
-        parent: parentId || null
+    createUser: async (_, { email, password, name, role }, context) => {
+      requireRole(context, ['admin']);
+      const user = new User({ email, password, name, role });
+      return await user.save();
+    },
+
+    createPost: async (_, args, context) => {
+      const user = requireAuth(context);
+      validateArgs(schemas.postSchema, args);
+      return await createPost(args, user);
+    },
+    updatePost: async (_, { id, expectedVersion, ...fields }, context) => {
+      const user = requireAuth(context);
+      validateArgs(schemas.postUpdateSchema, fields);
+      const post = await updatePost(id, fields, user, { expectedVersion });
+      if (!post) {
+        throw new NotFoundError('Post not found');
+      }
+      return post;
+    },
+    schedulePost: async (_, { id, scheduledFor, unpublishAt }, context) => {
+      const user = requireRole(context, PUBLISHER_ROLES);
+      const post = await findEditablePost(id, user);
+
+      if (!scheduledFor && !unpublishAt) {
+        throw new UserInputError('Provide scheduledFor, unpublishAt or both');
+      }
+      if (scheduledFor) {
+        if (new Date(scheduledFor) <= new Date()) {
+          throw new UserInputError('scheduledFor must be in the future');
+        }
+        applyTransition(post, 'schedule', user);
+        post.scheduledFor = new Date(scheduledFor);
+      } else if (!LIVE_STATUSES.includes(post.status)) {
+        throw new UserInputError('Only published or scheduled posts can be given an unpublish date');
+      }
+      if (unpublishAt !== undefined) {
+        post.unpublishAt = unpublishAt ? new Date(unpublishAt) : null;
+      }
+
+      return await savePostVersion(post, user._id);
+    },
+    unschedulePost: async (_, { id }, context) => {
+      const user = requireRole(context, PUBLISHER_ROLES);
+      const post = await findEditablePost(id, user);
+      applyTransition(post, 'unschedule', user);
+      return await savePostVersion(post, user._id);
+    },
+    transitionPost: async (_, { id, action, comment }, context) => {
+      const user = requireAuth(context);
+      if (action === 'schedule') {
+        throw new UserInputError('Use schedulePost to schedule a post');
+      }
+      const post = await Post.findById(id);
+      if (!post) {
+        throw new NotFoundError('Post not found');
+      }
+
+      applyTransition(post, action, user, { comment });
+      return await savePostVersion(post, user._id);
+    },
+    assignReviewers: async (_, { postId, reviewerIds }, context) => {
+      requireRole(context, EDITOR_ROLES);
+      const post = await Post.findById(postId);
+      if (!post) {
+        throw new NotFoundError('Post not found');
+      }
+
+      const reviewers = await User.find({
+        _id: { $in: reviewerIds },
+        isActive: true,
+        role: { $in: REVIEWER_ROLES }
       });
-      return await category.save();
-    },
-    updateCategory: async (_, { id, name, slug, description, parentId }) => {
-      const category = await Category.findByIdAndUpdate(
-        id,
-        { name, slug, description, parent: parentId || null },
-        { new: true }
-      );
+      if (reviewers.length !== new Set(reviewerIds).size) {
+        throw new UserInputError(`Reviewers must be active users with one of the roles: ${REVIEWER_ROLES.join(', ')}`);
+      }
+
+      post.reviewers = reviewers.map(reviewer => reviewer._id);
+      return await post.save();
+    },
+    restorePostRevision: async (_, { postId, version }, context) => {
+      const user = requireAuth(context);
+      const post = await findEditablePost(postId, user);
+      const revision = await PostRevision.findOne({ post: postId, version });
+      if (!revision) {
+        throw new NotFoundError(`Revision ${version} not found for this post`);
+      }
+
+      for (const field of RESTORABLE_FIELDS) {
+        post[field] = revision[field];
+      }
+      return await savePostVersion(post, user._id, { restoredFrom: version });
+    },
+    deletePost: async (_, { id }, context) => {
+      const user = requireAuth(context);
+      return await deletePost(id, user);
+    },
+    createAuthor: async (_, { avatarId, userId, ...fields }, context) => {
+      requireRole(context, EDITOR_ROLES);
+      const author = new Author({
+        ...fields,
+        avatar: avatarId || null,
+        user: userId || null
+      });
+      return await author.save();
+    },
+    updateAuthor: async (_, { id, avatarId, userId, ...fields }, context) => {
+      const user = requireAuth(context);
+      const author = await Author.findById(id);
+      if (!author) {
+        throw new NotFoundError('Author not found');
+      }
+
+      // Users may maintain their own profile; only editors can relink profiles to accounts
+      const isEditor = EDITOR_ROLES.includes(user.role);
+      const isOwnProfile = author.user && author.user.toString() === user.id;
+      if (!isEditor && !isOwnProfile) {
+        throw new ForbiddenError('You can only edit your own author profile');
+      }
+      if (userId !== undefined && !isEditor) {
+        throw new ForbiddenError('Only editors can link author profiles to user accounts');
+      }
+
+      for (const [key, value] of Object.entries(fields)) {
+        if (value !== undefined) author[key] = value;
+      }
+      if (avatarId !== undefined) author.avatar = avatarId || null;
+      if (userId !== undefined) author.user = userId || null;
+
+      return await author.save();
+    },
+
+    createTag: async (_, args, context) => {
+      requireRole(context, EDITOR_ROLES);
+      validateArgs(schemas.tagSchema, args);
+      return await createTag(args);
+    },
+    updateTag: async (_, { id, keepOldNameAsAlias, ...fields }, context) => {
+      requireRole(context, EDITOR_ROLES);
+      validateArgs(schemas.tagUpdateSchema, fields);
+      const tag = await updateTag(id, fields, { keepOldNameAsAlias });
+      if (!tag) {
+        throw new NotFoundError('Tag not found');
+      }
+      return tag;
+    },
+    deleteTag: async (_, { id }, context) => {
+      requireRole(context, EDITOR_ROLES);
+      return await deleteTag(id);
+    },
+    mergeTags: async (_, { sourceIds, targetId }, context) => {
+      requireRole(context, EDITOR_ROLES);
+      return await mergeTags(sourceIds, targetId);
+    },
+
+    createCategory: async (_, { name, slug, description, parentId }, context) => {
+      requireRole(context, EDITOR_ROLES);
+      const fields = { name, slug, description, parentId };
+      validateArgs(schemas.categorySchema, fields);
+      return await createCategory(fields);
+    },
+    updateCategory: async (_, { id, expectedVersion, ...fields }, context) => {
+      requireRole(context, EDITOR_ROLES);
+      validateArgs(schemas.categoryUpdateSchema, fields);
+      const category = await updateCategory(id, fields, { expectedVersion });
+      if (!category) {
+        throw new NotFoundError('Category not found');
+      }
       return category;
     },
-    updatePostCategory: async (_, { postId, categoryId }) => {
+    moveCategory: async (_, { id, newParentId, position, expectedVersion }, context) => {
+      requireRole(context, EDITOR_ROLES);
+      return await moveCategory(id, newParentId, { position, expectedVersion });
+    },
+    reorderCategories: async (_, { parentId, orderedIds }, context) => {
+      requireRole(context, EDITOR_ROLES);
+      return await reorderCategories(parentId, orderedIds);
+    },
+    addComment: async (_, args, context) => {
+      const { req } = context;
+      return await addComment(args, {
+        user: context.user,
+        ipAddress: req ? req.ip : undefined,
+        userAgent: req ? req.get('user-agent') : undefined
+      });
+    },
+    moderateComments: async (_, { ids, action }, context) => {
+      const user = requireRole(context, EDITOR_ROLES);
+      return await moderateComments(ids, action, user);
+    },
+    deleteComment: async (_, { id }, context) => {
+      const user = requireAuth(context);
+      return await deleteComment(id, user);
+    },
+    pinRelatedPosts: async (_, { postId, relatedIds, expectedVersion }, context) => {
+      const user = requireRole(context, EDITOR_ROLES);
+      const post = await Post.findById(postId);
+      if (!post) {
+        throw new NotFoundError('Post not found');
+      }
+      await pinRelatedPosts(post, relatedIds);
+      // Save as a new version (rejected if the post changed since expectedVersion)
+      return await savePostVersion(post, user._id, { expectedVersion });
+    },
+    rebuildSearchIndex: async (_, __, context) => {
+      requireRole(context, ['admin']);
+      return await rebuildSearchIndex();
+    },
+    recordPostView: async (_, { postId, visitorId }, context) => {
+      return await recordView(postId, visitorFromRequest(context.req, { user: context.user, visitorId }));
+    },
+    addReaction: async (_, { postId, type, visitorId }, context) => {
+      await addReaction(postId, type, visitorFromRequest(context.req, { user: context.user, visitorId }));
+      return await Post.findById(postId);
+    },
+    removeReaction: async (_, { postId, type, visitorId }, context) => {
+      await removeReaction(postId, type, visitorFromRequest(context.req, { user: context.user, visitorId }));
+      return await Post.findById(postId);
+    },
+
+    createRedirect: async (_, { from, to, statusCode, note }, context) => {
+      const user = requireRole(context, ['admin']);
+      const redirect = new Redirect({ from, to, statusCode, note, createdBy: user._id });
+      return await redirect.save();
+    },
+    updateRedirect: async (_, { id, ...fields }, context) => {
+      requireRole(context, ['admin']);
+      const redirect = await Redirect.findById(id);
+      if (!redirect) {
+        throw new NotFoundError('Redirect not found');
+      }
+
+      for (const [key, value] of Object.entries(fields)) {
+        if (value !== undefined) redirect[key] = value;
+      }
+      return await redirect.save();
+    },
+    deleteRedirect: async (_, { id }, context) => {
+      requireRole(context, ['admin']);
+      const result = await Redirect.deleteOne({ _id: id });
+      return result.deletedCount > 0;
+    },
+    updatePostCategory: async (_, { postId, categoryId, expectedVersion }, context) => {
+      const user = requireAuth(context);
+
       // 1. Find the post by ID
       const post = await Post.findById(postId);
       if (!post) {
-        throw new Error("Post not found");
+        throw new NotFoundError('Post not found');
+      }
+      if (!canEditPost(user, post)) {
+        throw new ForbiddenError('You can only edit your own posts');
       }
 
       // 2. Update the post's categories array
@@ -142,14 +600,16 @@ filteredPosts: async (_, { filter = {} }) => {
       // 3. Optionally update 'updatedAt' field
       post.updatedAt = Date.now();
 
-      // 4. Save changes
-      await post.save();
-
-      return post;
+      // 4. Save changes (rejected if the post changed since expectedVersion) and snapshot the new version
+      return await savePostVersion(post, user._id, { expectedVersion });
     },
-    deleteCategory: async (_, { id }) => {
-      await Category.findByIdAndDelete(id);
-      return true;
+    deleteCategory: async (_, { id, policy, targetId }, context) => {
+      requireRole(context, EDITOR_ROLES);
+      return await deleteCategory(id, { policy, targetId });
+    },
+    deactivateCategory: async (_, { id, policy, targetId }, context) => {
+      requireRole(context, EDITOR_ROLES);
+      return await deactivateCategory(id, { policy, targetId });
     }
   },
   Category: {
@@ -160,10 +620,227 @@ filteredPosts: async (_, { filter = {} }) => {
       return null;
     },
     subcategories: async (parent) => {
-      return await Category.find({ parent: parent.id });
+      return await Category.find({ parent: parent.id }).sort({ sortOrder: 1, name: 1 });
+    },
+    depth: (parent) => parent.level,
+    // Ancestors from the root down to the direct parent
+    ancestors: async (parent) => {
+      const ancestors = await Category.find({ _id: { $in: parent.ancestors } });
+      const byId = new Map(ancestors.map(category => [category.id, category]));
+      return parent.ancestors.map(id => byId.get(id.toString())).filter(Boolean);
+    },
+    // Ancestors followed by the category itself
+    breadcrumb: async (parent, args, context, info) => {
+      const ancestors = await resolvers.Category.ancestors(parent, args, context, info);
+      return [...ancestors, parent];
+    },
+    descendants: async (parent) => {
+      return await Category.find({ ancestors: parent._id }).sort({ sortOrder: 1, name: 1 });
+    },
+    seo: async (parent) => await categorySeo(parent)
+  },
+  PostRevision: {
+    postId: (parent) => parent.post,
+    categories: async (parent) => await Category.find({ _id: { $in: parent.categories } }),
+    editedBy: async (parent) => {
+      return parent.editedBy ? await User.findById(parent.editedBy) : null;
+    }
+  },
+  Author: {
+    avatar: async (parent) => {
+      return parent.avatar ? await Image.findById(parent.avatar) : null;
+    },
+    posts: async (parent, args) => {
+      return await paginate(Post, {
+        filter: { ...Post.publishedQuery(), authors: parent._id },
+        sortField: 'publishedAt',
+        direction: -1,
+        args
+      });
+    }
+  },
+  SortDirection: {
+    ASC: 1,
+    DESC: -1
+  },
+  SuggestionType: {
+    POST: 'post',
+    TAG: 'tag',
+    CATEGORY: 'category'
+  },
+  SearchSort: {
+    RELEVANCE: 'relevance',
+    NEWEST: 'newest',
+    OLDEST: 'oldest',
+    MOST_VIEWED: 'most_viewed',
+    TITLE: 'title'
+  },
+  PostSortField: {
+    PUBLISHED_AT: 'publishedAt',
+    UPDATED_AT: 'updatedAt',
+    CREATED_AT: 'createdAt',
+    VIEW_COUNT: 'viewCount',
+    TITLE: 'title',
+    RELEVANCE: TEXT_SCORE_FIELD
+  },
+  Comment: {
+    postId: (parent) => parent.post,
+    parentId: (parent) => parent.parent,
+    replies: async (parent) => {
+      return await Comment.find({ parent: parent._id, status: 'approved' }).sort({ createdAt: 1 });
+    },
+    replyCount: async (parent) => await Comment.countDocuments({ parent: parent._id, status: 'approved' }),
+    authorEmail: (parent, _, context) => (isModerator(context.user) ? parent.authorEmail : null),
+    ipAddress: (parent, _, context) => (isModerator(context.user) ? parent.ipAddress : null),
+    spamScore: (parent, _, context) => (isModerator(context.user) ? parent.spamScore : null),
+    spamReasons: (parent, _, context) => (isModerator(context.user) ? parent.spamReasons : null)
+  },
+  CommentStatus: {
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    SPAM: 'spam',
+    DELETED: 'deleted'
+  },
+  ModerationAction: {
+    APPROVE: 'approve',
+    REJECT: 'reject',
+    SPAM: 'spam'
+  },
+  TimeBucket: {
+    DAY: 'day',
+    WEEK: 'week',
+    MONTH: 'month'
+  },
+  CategoryMetric: {
+    VIEWS: 'views',
+    REACTIONS: 'reactions',
+    PUBLISHES: 'publishes'
+  },
+  ReactionType: {
+    LIKE: 'like',
+    LOVE: 'love',
+    INSIGHTFUL: 'insightful',
+    CELEBRATE: 'celebrate',
+    FUNNY: 'funny'
+  },
+  ContentBlock: {
+    __resolveType: (block) => BLOCK_TYPE_NAMES[block.type] || null
+  },
+  ImageBlock: {
+    src: (block) => (block.image ? block.image.url : block.src),
+    srcSet: (block) => (block.image && block.image.srcSet) || null,
+    altText: (block) => block.altText || (block.image && block.image.altText) || '',
+    width: (block) => (block.image ? block.image.width : null),
+    height: (block) => (block.image ? block.image.height : null)
+  },
+  EmbedBlock: {
+    provider: (block) => embedProvider(block.url)
+  },
+  ContentBlockType: {
+    PARAGRAPH: 'paragraph',
+    HEADING: 'heading',
+    IMAGE: 'image',
+    QUOTE: 'quote',
+    CODE: 'code',
+    EMBED: 'embed',
+    LIST: 'list',
+    CALLOUT: 'callout',
+    DIVIDER: 'divider'
+  },
+  ListStyle: {
+    ORDERED: 'ordered',
+    UNORDERED: 'unordered'
+  },
+  CalloutVariant: {
+    INFO: 'info',
+    TIP: 'tip',
+    WARNING: 'warning',
+    DANGER: 'danger'
+  },
+  ContentFormat: {
+    MARKDOWN: 'markdown',
+    HTML: 'html'
+  },
+  CategoryDeletionPolicy: {
+    REASSIGN: 'reassign',
+    PROMOTE: 'promote',
+    RESTRICT: 'restrict'
+  },
+  CategorySortField: {
+    SORT_ORDER: 'sortOrder',
+    NAME: 'name',
+    CREATED_AT: 'createdAt'
+  },
+  TagSortField: {
+    NAME: 'name',
+    USAGE_COUNT: 'usageCount',
+    CREATED_AT: 'createdAt'
+  },
+  WorkflowAction: {
+    SUBMIT: 'submit',
+    APPROVE: 'approve',
+    REQUEST_CHANGES: 'requestChanges',
+    PUBLISH: 'publish',
+    SCHEDULE: 'schedule',
+    UNSCHEDULE: 'unschedule',
+    ARCHIVE: 'archive',
+    RESTORE: 'restore'
+  },
+  WorkflowEvent: {
+    actor: async (parent) => {
+      return parent.actor ? await User.findById(parent.actor) : null;
     }
   },
   Post: {
+    contentHtml: (parent) => parent.renderedContent().html,
+    contentText: (parent) => parent.renderedContent().text,
+    toc: (parent) => parent.renderedContent().toc || [],
+    reactionCounts: (parent) => reactionCounts(parent),
+    relatedPosts: async (parent, { limit }) => await relatedPosts(parent, { limit }),
+    seo: async (parent) => await postSeo(parent),
+    pinnedRelatedPosts: async (parent, _, context) => {
+      if (!parent.pinnedRelatedPosts || parent.pinnedRelatedPosts.length === 0) return [];
+      const posts = await Post.find({ _id: { $in: parent.pinnedRelatedPosts } });
+      // Editors see pins that are not published yet
+      const visible = context.user && EDITOR_ROLES.includes(context.user.role)
+        ? posts
+        : posts.filter(post => post.isPublished);
+      const byId = new Map(visible.map(post => [post.id, post]));
+      return parent.pinnedRelatedPosts
+        .map(id => byId.get(id.toString()))
+        .filter(Boolean);
+    },
+    blocks: async (parent) => {
+      const blocks = parent.blocks && parent.blocks.length > 0
+        ? parent.blocks
+        : htmlToBlocks(parent.renderedContent().html);
+      return await attachBlockImages(blocks);
+    },
+    reviewers: async (parent) => await User.find({ _id: { $in: parent.reviewers || [] } }),
+    workflowHistory: (parent, _, context) => {
+      // The audit trail is only visible to signed-in staff
+      return context.user ? parent.workflowHistory : [];
+    },
+    availableActions: (parent, _, context) => {
+      return context.user ? availableActions(context.user, parent) : [];
+    },
+    authors: async (parent) => {
+      if (!parent.authors || parent.authors.length === 0) return [];
+      const authors = await Author.find({ _id: { $in: parent.authors } });
+      const byId = new Map(authors.map(author => [author.id, author]));
+      // Preserve byline order
+      return parent.authors
+        .map(id => byId.get(id.toString()))
+        .filter(Boolean);
+    },
+    tags: async (parent) => {
+      if (!parent.tags || parent.tags.length === 0) return [];
+      const tags = await Tag.find({ _id: { $in: parent.tags } });
+      const byId = new Map(tags.map(tag => [tag.id, tag]));
+      return parent.tags
+        .map(id => byId.get(id.toString()))
+        .filter(Boolean);
+    },
     categories: async (parent) => {
       const post = await Post.findById(parent.id).populate('categories');
       return post.categories;
@@ -9,94 +9,946 @@ const { gql } = require('apollo-server-express');
 const typeDefs = gql`
   scalar Date
 
+  type StatusCount {
+    status: String!
+    count: Int!
+  }
+
   type PostSummary {
     totalPosts: Int
     drafts: Int
     published: Int
     pending: Int
+    changesRequested: Int
+    approved: Int
+    scheduled: Int
+    archived: Int
+    byStatus: [StatusCount]
+  }
+
+  # ===== ANALYTICS =====
+  # Answered from daily aggregates; days are UTC days ending today
+
+  enum TimeBucket {
+    DAY
+    # Weeks start on Monday
+    WEEK
+    MONTH
+  }
+
+  enum CategoryMetric {
+    VIEWS
+    REACTIONS
+    PUBLISHES
+  }
+
+  type TrendingPost {
+    post: Post!
+    views: Int!
+    reactions: Int!
+    # Views plus weighted reactions
+    score: Float!
+  }
+
+  type CategoryStats {
+    category: Category!
+    views: Int!
+    reactions: Int!
+    publishes: Int!
+  }
+
+  type CadencePoint {
+    weekStart: Date!
+    publishes: Int!
+  }
+
+  type ViewsPoint {
+    periodStart: Date!
+    views: Int!
+    reactions: Int!
+  }
+
+  enum WorkflowAction {
+    SUBMIT
+    APPROVE
+    REQUEST_CHANGES
+    PUBLISH
+    SCHEDULE
+    UNSCHEDULE
+    ARCHIVE
+    RESTORE
+  }
+
+  type WorkflowEvent {
+    action: WorkflowAction!
+    from: String!
+    to: String!
+    actor: User
+    comment: String
+    at: Date
+  }
+
+  type User {
+    id: ID!
+    email: String!
+    name: String!
+    role: String!
+    isActive: Boolean
+    lastLoginAt: Date
+  }
+
+  type AuthPayload {
+    accessToken: String!
+    refreshToken: String!
+    user: User!
+  }
+
+  type SocialLink {
+    platform: String!
+    url: String!
+  }
+
+  input SocialLinkInput {
+    platform: String!
+    url: String!
+  }
+
+  type Author {
+    id: ID!
+    displayName: String!
+    slug: String!
+    bio: String
+    avatar: Image
+    socialLinks: [SocialLink]
+    # Published posts by this author, newest first
+    posts(first: Int, after: String, last: Int, before: String): PostConnection
+  }
+
+  enum ContentFormat {
+    MARKDOWN
+    HTML
+  }
+
+  # Heading in the rendered content; link to it with #anchor
+  type TocEntry {
+    level: Int!
+    text: String!
+    anchor: String!
+  }
+
+  # A <meta> tag: Open Graph tags go in the property attribute, Twitter tags in the name attribute
+  type MetaTag {
+    name: String!
+    content: String!
+  }
+
+  # Page metadata for search engines and link previews
+  type SeoMetadata {
+    # metaTitle, or the title
+    title: String!
+    # metaDescription, or an excerpt of the text
+    description: String!
+    canonicalUrl: String!
+    openGraph: [MetaTag!]!
+    twitter: [MetaTag!]!
+    # schema.org JSON-LD for a <script type="application/ld+json"> element
+    jsonLd: String!
   }
 
   type Post {
     id: ID!
     title: String!
+    # ISO 639-1 code, used by search for stemming and stop words
+    language: String
+    # Content source in contentFormat
     content: String!
+    contentFormat: ContentFormat
+    # Sanitized HTML rendered from content
+    contentHtml: String
+    # Plain text of the rendered content
+    contentText: String
+    toc: [TocEntry!]!
+    # Stored blocks for posts authored as blocks, otherwise derived from contentHtml
+    blocks: [ContentBlock!]!
+    excerpt: String
+    # Minutes
+    readingTime: Int
     slug: String
+    # Previous slugs, which still resolve through postBySlug
+    slugHistory: [String!]
     status: String
     publishedAt: Date
+    scheduledFor: Date
+    unpublishAt: Date
     updatedAt: Date
     version: Int
     images: [Image]
     categories: [Category]
     tags: [Tag]
+    authors: [Author]
+    reviewers: [User]
+    workflowHistory: [WorkflowEvent]
+    # Workflow actions the current user can take on this post
+    availableActions: [WorkflowAction]
+    # Approved comments
+    commentCount: Int
+    commentsEnabled: Boolean
+    # Deduplicated views; recent views may take a few seconds to show up
+    viewCount: Int
+    # Every reaction type, including those with no reactions yet
+    reactionCounts: [ReactionCount!]!
+    # Published posts on related topics: pinned ones first, then by shared categories, tags,
+    # text similarity and recency (limit at most 20)
+    relatedPosts(limit: Int = 5): [Post!]!
+    # Related posts chosen by editors, in order; unpublished ones are only shown to editors
+    pinnedRelatedPosts: [Post!]!
+    # Search engine overrides; seo falls back to the title and an excerpt when they are blank
+    metaTitle: String
+    metaDescription: String
+    # Resolved metadata with Open Graph, Twitter card and BlogPosting JSON-LD
+    seo: SeoMetadata!
+  }
+
+  # ===== ENGAGEMENT =====
+
+  enum ReactionType {
+    LIKE
+    LOVE
+    INSIGHTFUL
+    CELEBRATE
+    FUNNY
+  }
+
+  type ReactionCount {
+    type: ReactionType!
+    count: Int!
+  }
+
+  # ===== COMMENTS =====
+
+  enum CommentStatus {
+    PENDING
+    APPROVED
+    SPAM
+    DELETED
+  }
+
+  enum ModerationAction {
+    APPROVE
+    # Moves the comments to DELETED
+    REJECT
+    SPAM
+  }
+
+  type Comment {
+    id: ID!
+    postId: ID!
+    parentId: ID
+    # 0 for top-level comments
+    depth: Int!
+    # Plain text; escape it when rendering
+    content: String!
+    authorName: String!
+    status: CommentStatus!
+    createdAt: Date
+    # Approved direct replies, oldest first
+    replies: [Comment!]!
+    replyCount: Int!
+    # Visible to moderators only
+    authorEmail: String
+    ipAddress: String
+    spamScore: Int
+    spamReasons: [String!]
+  }
+
+  type CommentEdge {
+    cursor: String!
+    node: Comment!
+  }
+
+  type CommentConnection {
+    edges: [CommentEdge!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+
+  type PostRevision {
+    id: ID!
+    postId: ID!
+    version: Int!
+    title: String
+    content: String
+    contentFormat: ContentFormat
+    slug: String
+    status: String
+    categories: [Category]
+    metaTitle: String
+    metaDescription: String
+    editedBy: User
+    restoredFrom: Int
+    createdAt: Date
+  }
+
+  enum DiffGranularity {
+    LINE
+    WORD
+  }
+
+  type DiffChange {
+    value: String!
+    added: Boolean!
+    removed: Boolean!
+  }
+
+  type FieldDiff {
+    field: String!
+    changes: [DiffChange!]!
+  }
+
+  type PostRevisionDiff {
+    postId: ID!
+    from: Int!
+    to: Int!
+    fields: [FieldDiff!]!
   }
 
   type Image {
     id: ID!
     postId: ID!
     url: String!
+    # Responsive sources: thumbnail, medium and full size
+    srcSet: String
     altText: String
+    width: Int
+    height: Int
     uploadedAt: Date
   }
 
+  # ===== CONTENT BLOCKS =====
+  # Structured post content. Text fields may contain inline markup (strong, em, code, links).
+
+  enum ContentBlockType {
+    PARAGRAPH
+    HEADING
+    IMAGE
+    QUOTE
+    CODE
+    EMBED
+    LIST
+    CALLOUT
+    DIVIDER
+  }
+
+  enum ListStyle {
+    ORDERED
+    UNORDERED
+  }
+
+  enum CalloutVariant {
+    INFO
+    TIP
+    WARNING
+    DANGER
+  }
+
+  type ParagraphBlock {
+    type: ContentBlockType!
+    text: String!
+  }
+
+  type HeadingBlock {
+    type: ContentBlockType!
+    level: Int!
+    text: String!
+  }
+
+  # Uploaded images resolve their Image inline; images converted from HTML may only have src
+  type ImageBlock {
+    type: ContentBlockType!
+    image: Image
+    src: String!
+    srcSet: String
+    altText: String
+    width: Int
+    height: Int
+    caption: String
+  }
+
+  type QuoteBlock {
+    type: ContentBlockType!
+    text: String!
+    citation: String
+  }
+
+  type CodeBlock {
+    type: ContentBlockType!
+    code: String!
+    language: String
+  }
+
+  type EmbedBlock {
+    type: ContentBlockType!
+    url: String!
+    # e.g. youtube, vimeo, twitter, or the host name
+    provider: String
+    caption: String
+  }
+
+  type ListBlock {
+    type: ContentBlockType!
+    style: ListStyle!
+    items: [String!]!
+  }
+
+  type CalloutBlock {
+    type: ContentBlockType!
+    variant: CalloutVariant!
+    title: String
+    text: String!
+  }
+
+  type DividerBlock {
+    type: ContentBlockType!
+  }
+
+  union ContentBlock =
+    ParagraphBlock
+    | HeadingBlock
+    | ImageBlock
+    | QuoteBlock
+    | CodeBlock
+    | EmbedBlock
+    | ListBlock
+    | CalloutBlock
+    | DividerBlock
+
+  # One input for every block type; set the fields that apply to type
+  input ContentBlockInput {
+    type: ContentBlockType!
+    text: String
+    level: Int
+    imageId: ID
+    src: String
+    altText: String
+    caption: String
+    citation: String
+    code: String
+    language: String
+    url: String
+    style: ListStyle
+    items: [String!]
+    variant: CalloutVariant
+    title: String
+  }
+
   type Tag {
     id: ID!
     name: String!
+    description: String
+    color: String
+    usageCount: Int
+    # Synonyms that resolve to this tag
+    aliases: [String!]
   }
 
   type Category {
     id: ID!
     name: String!
     slug: String!
+    # Previous slugs, which still resolve through categoryBySlug
+    slugHistory: [String!]
     description: String
+    version: Int
+    sortOrder: Int
+    isActive: Boolean
     parent: Category
     subcategories: [Category]
+    # Nesting level, 0 for root categories
+    depth: Int!
+    # From the root down to the direct parent
+    ancestors: [Category!]!
+    # Ancestors followed by this category
+    breadcrumb: [Category!]!
+    # Every category below this one, at any depth
+    descendants: [Category!]!
+    # CollectionPage and BreadcrumbList JSON-LD
+    seo: SeoMetadata!
+  }
+
+  # What happens to the posts and subcategories of a deleted or deactivated category
+  enum CategoryDeletionPolicy {
+    # Move them to targetId
+    REASSIGN
+    # Move them to the category's parent (root-level posts just lose the category)
+    PROMOTE
+    # Refuse while the category is in use
+    RESTRICT
+  }
+
+  type CategoryDeletionReport {
+    categoryId: ID!
+    policy: CategoryDeletionPolicy!
+    # Category that received the posts and subcategories, if any
+    target: Category
+    affectedPostIds: [ID!]!
+    affectedPostCount: Int!
+    movedCategories: [Category!]!
+  }
+
+  type CategoryTreeNode {
+    category: Category!
+    children: [CategoryTreeNode!]!
+  }
+
+  # ===== PAGINATION =====
+  # Connections follow the Relay cursor specification. Cursors are opaque and tied to the
+  # sort order they were issued for; page sizes are capped by the server.
+
+  type PageInfo {
+    hasNextPage: Boolean!
+    hasPreviousPage: Boolean!
+    startCursor: String
+    endCursor: String
+  }
+
+  enum SortDirection {
+    ASC
+    DESC
+  }
+
+  enum PostSortField {
+    PUBLISHED_AT
+    UPDATED_AT
+    CREATED_AT
+    VIEW_COUNT
+    TITLE
+    # Text search relevance; only valid for searches
+    RELEVANCE
+  }
+
+  input PostOrder {
+    field: PostSortField!
+    direction: SortDirection = DESC
+  }
+
+  type PostEdge {
+    cursor: String!
+    node: Post!
+  }
+
+  type PostConnection {
+    edges: [PostEdge!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+
+  enum CategorySortField {
+    SORT_ORDER
+    NAME
+    CREATED_AT
+  }
+
+  input CategoryOrder {
+    field: CategorySortField!
+    direction: SortDirection = ASC
+  }
+
+  type CategoryEdge {
+    cursor: String!
+    node: Category!
+  }
+
+  type CategoryConnection {
+    edges: [CategoryEdge!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+
+  enum TagSortField {
+    NAME
+    USAGE_COUNT
+    CREATED_AT
+  }
+
+  input TagOrder {
+    field: TagSortField!
+    direction: SortDirection = ASC
+  }
+
+  type TagEdge {
+    cursor: String!
+    node: Tag!
+  }
+
+  type TagConnection {
+    edges: [TagEdge!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+
+  # ===== SLUGS AND REDIRECTS =====
+  # Slug lookups also match previous slugs; isRedirect tells the client to redirect to canonicalSlug.
+
+  type PostSlugResult {
+    post: Post!
+    canonicalSlug: String!
+    isRedirect: Boolean!
+  }
+
+  type CategorySlugResult {
+    category: Category!
+    canonicalSlug: String!
+    isRedirect: Boolean!
+  }
+
+  # Manual redirect rule; to is a path on this site or an absolute URL
+  type Redirect {
+    id: ID!
+    from: String!
+    to: String!
+    statusCode: Int!
+    isActive: Boolean!
+    note: String
+    hits: Int!
+    lastHitAt: Date
+    createdAt: Date
+    updatedAt: Date
+  }
+
+  type RedirectEdge {
+    cursor: String!
+    node: Redirect!
   }
 
+  type RedirectConnection {
+    edges: [RedirectEdge!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+
+  enum TagMatch {
+    ANY
+    ALL
+  }
+
+  # Category filters include subcategories; subcategoryId narrows categoryId down.
+  # searchText uses the text index.
   input PostFilter {
     searchText: String
     categoryId: ID
     subcategoryId: ID
     tagIds: [ID!]
+    # Tag names or aliases, combined with tagIds
+    tags: [String!]
+    # Whether posts must carry any (default) or all of the given tags
+    tagMatch: TagMatch = ANY
     publishedAfter: Date
     publishedBefore: Date
     status: String
   }
 
+  # ===== SEARCH =====
+
+  enum SearchSort {
+    RELEVANCE
+    NEWEST
+    OLDEST
+    MOST_VIEWED
+    TITLE
+  }
+
+  input SearchInput {
+    # Text to search for; defaults to filter.searchText
+    query: String
+    # Readers only find published posts, so status is honored for editors only
+    filter: PostFilter
+    # RELEVANCE with a query, NEWEST without
+    sort: SearchSort
+    first: Int
+    after: String
+  }
+
+  type SearchHit {
+    post: Post!
+    # Text search relevance; null without a query
+    score: Float
+    # HTML with the matched terms wrapped in <mark>
+    titleHighlight: String!
+    snippet: String!
+  }
+
+  type SearchHitEdge {
+    cursor: String!
+    node: SearchHit!
+  }
+
+  # value is an ID for categories, tags and authors, a status, or a month as YYYY-MM
+  type FacetCount {
+    value: String!
+    label: String
+    count: Int!
+  }
+
+  type SearchFacets {
+    # Posts count towards their categories and every parent category
+    categories: [FacetCount!]!
+    tags: [FacetCount!]!
+    authors: [FacetCount!]!
+    statuses: [FacetCount!]!
+    # Newest first
+    publishMonths: [FacetCount!]!
+  }
+
+  enum SuggestionType {
+    POST
+    TAG
+    CATEGORY
+  }
+
+  # A post title, tag or category completing the typed prefix; id is the ID of the post, tag or category
+  type SearchSuggestion {
+    text: String!
+    type: SuggestionType!
+    id: ID!
+  }
+
+  type SearchResult {
+    edges: [SearchHitEdge!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+    # Counts over all matching posts, not just this page
+    facets: SearchFacets!
+  }
+
   type Query {
-    posts: [Post]
+    posts(first: Int, after: String, last: Int, before: String, orderBy: PostOrder): PostConnection
     post(id: ID!): Post
-    categories: [Category]
+    categories(first: Int, after: String, last: Int, before: String, orderBy: CategoryOrder): CategoryConnection
     category(id: ID!): Category
+    # The whole tree (or the subtree under rootId), depth levels deep when given
+    categoryTree(rootId: ID, depth: Int): [CategoryTreeNode!]!
 
     # Query with dynamic filters
-    filteredPosts(filter: PostFilter): [Post]
+    filteredPosts(
+      filter: PostFilter,
+      first: Int,
+      after: String,
+      last: Int,
+      before: String,
+      orderBy: PostOrder
+    ): PostConnection
     
-    # (If you already have a text search query, that remains separate)
-    searchPosts(query: String!): [Post]
+    # Published posts through the search index: tolerates typos and completes the last word as it
+    # is typed. language picks the stemmer and stop words (default SEARCH_DEFAULT_LANGUAGE).
+    # Sorted by relevance, best first, unless orderBy is given.
+    searchPosts(
+      query: String!,
+      language: String,
+      first: Int,
+      after: String,
+      last: Int,
+      before: String,
+      orderBy: PostOrder
+    ): PostConnection
+
+    # Full-text search with highlighted hits and facet counts
+    search(input: SearchInput!): SearchResult!
+    # Autocomplete for a search box (at most 20)
+    searchSuggestions(prefix: String!, limit: Int = 10): [SearchSuggestion!]!
 
-     postsSummary: PostSummary
+    # Status counts, optionally for posts created between from and to and/or in a category
+    # (including its subcategories)
+    postsSummary(from: Date, to: Date, categoryId: ID): PostSummary
     recentPosts: [Post]
 
-    tags: [Tag]   
+    # Published posts with the most views and reactions in the last days
+    trendingPosts(days: Int = 7, limit: Int = 10, categoryId: ID): [TrendingPost!]!
+    # Dashboard analytics (authors, editors and admins)
+    topCategories(days: Int = 30, limit: Int = 10, metric: CategoryMetric = VIEWS): [CategoryStats!]!
+    # One point per week, oldest first
+    publishingCadence(weeks: Int = 12, categoryId: ID, authorId: ID): [CadencePoint!]!
+    # One point per bucket from from to to (default today); filter by at most one of postId, categoryId and authorId
+    viewsOverTime(
+      from: Date!,
+      to: Date,
+      bucket: TimeBucket = DAY,
+      postId: ID,
+      categoryId: ID,
+      authorId: ID
+    ): [ViewsPoint!]!
 
-    
+    # Posts awaiting review; editors can pass assignedToMe: false to see all of them
+    reviewQueue(assignedToMe: Boolean = true): [Post]
+
+    # Posts waiting to go live, soonest first
+    scheduledPosts: [Post]
+
+    # search matches tag names and aliases by prefix
+    tags(search: String, first: Int, after: String, last: Int, before: String, orderBy: TagOrder): TagConnection
+    tag(id: ID, name: String): Tag
+
+    # Revision history of a post, newest first
+    postRevisions(postId: ID!): [PostRevision]
+    postRevisionDiff(postId: ID!, from: Int!, to: Int!, granularity: DiffGranularity = LINE): PostRevisionDiff
+
+    # Approved top-level comments of a post, oldest first; load replies through Comment.replies
+    comments(postId: ID!, first: Int, after: String, last: Int, before: String): CommentConnection
+    # Comments awaiting moderation (editors only), newest first
+    moderationQueue(
+      status: CommentStatus = PENDING,
+      postId: ID,
+      first: Int,
+      after: String,
+      last: Int,
+      before: String
+    ): CommentConnection
+
+    postBySlug(slug: String!): PostSlugResult
+    categoryBySlug(slug: String!): CategorySlugResult
+
+    # Active redirect rule for a path; counts a hit
+    resolveRedirect(path: String!): Redirect
+    # Admin only
+    redirects(first: Int, after: String, last: Int, before: String): RedirectConnection
+
+    author(slug: String!): Author
+    authors: [Author]
+
+    # Currently authenticated user
+    me: User
   }
 
   type Mutation {
+    login(email: String!, password: String!): AuthPayload
+    refreshToken(refreshToken: String!): AuthPayload
+    logout: Boolean
+    createUser(email: String!, password: String!, name: String!, role: String): User
+
     createPost(
     title: String!,
-    content: String!,
-    slug: String!,
+    # Required unless blocks are given
+    content: String,
+    contentFormat: ContentFormat,
+    # ISO 639-1 code; defaults to SEARCH_DEFAULT_LANGUAGE
+    language: String,
+    # When given, content is generated from the blocks
+    blocks: [ContentBlockInput!],
+    slug: String,
     status: String,
-    categories: [ID!]
+    categories: [ID!],
+    authors: [ID!],
+    # Tag IDs or names; unknown names create new tags
+    tags: [String!],
+    commentsEnabled: Boolean,
+    # At most 60 and 160 characters
+    metaTitle: String,
+    metaDescription: String
+    ): Post
+    # Pass expectedVersion to fail with a CONFLICT error if the post changed since it was loaded
+    updatePost(
+      id: ID!,
+      title: String,
+      content: String,
+      contentFormat: ContentFormat,
+      language: String,
+      # Replaces content; editing content without blocks drops the stored blocks
+      blocks: [ContentBlockInput!],
+      slug: String,
+      status: String,
+      authors: [ID!],
+      tags: [String!],
+      commentsEnabled: Boolean,
+      metaTitle: String,
+      metaDescription: String,
+      expectedVersion: Int
     ): Post
-    updatePost(id: ID!, title: String, content: String, slug: String, status: String): Post
     deletePost(id: ID!): Boolean
+    # Move a post through the editorial workflow (use schedulePost for SCHEDULE)
+    transitionPost(id: ID!, action: WorkflowAction!, comment: String): Post
+    assignReviewers(postId: ID!, reviewerIds: [ID!]!): Post
+    # Schedule a post to go live at scheduledFor and/or be taken down at unpublishAt
+    schedulePost(id: ID!, scheduledFor: Date, unpublishAt: Date): Post
+    # Cancel a pending schedule and return the post to draft
+    unschedulePost(id: ID!): Post
+    # Creates a new version of the post from the content of an older revision
+    restorePostRevision(postId: ID!, version: Int!): Post
+
+    createAuthor(
+      displayName: String!,
+      slug: String,
+      bio: String,
+      avatarId: ID,
+      socialLinks: [SocialLinkInput!],
+      userId: ID
+    ): Author
+    updateAuthor(
+      id: ID!,
+      displayName: String,
+      slug: String,
+      bio: String,
+      avatarId: ID,
+      socialLinks: [SocialLinkInput!],
+      userId: ID
+    ): Author
+
+    createTag(name: String!, description: String, color: String, aliases: [String!]): Tag
+    # Renaming keeps the old name as an alias unless keepOldNameAsAlias is false
+    updateTag(
+      id: ID!,
+      name: String,
+      description: String,
+      color: String,
+      aliases: [String!],
+      keepOldNameAsAlias: Boolean = true
+    ): Tag
+    deleteTag(id: ID!): Boolean
+    # Retag every post using the source tags with the target and keep the source names as aliases
+    mergeTags(sourceIds: [ID!]!, targetId: ID!): Tag
+
+    # The slug is generated from the name when omitted
+    createCategory(name: String!, slug: String, description: String, parentId: ID): Category
+    updateCategory(
+      id: ID!,
+      name: String,
+      slug: String,
+      description: String,
+      parentId: ID,
+      # Setting false is refused while the category is in use; see deactivateCategory
+      isActive: Boolean,
+      expectedVersion: Int
+    ): Category
+    # Move a category and its subtree; position is the index among the new siblings (default last)
+    moveCategory(id: ID!, newParentId: ID, position: Int, expectedVersion: Int): Category
+    # orderedIds must list every child of parentId (root categories when omitted)
+    reorderCategories(parentId: ID, orderedIds: [ID!]!): [Category!]!
+    deleteCategory(id: ID!, policy: CategoryDeletionPolicy = RESTRICT, targetId: ID): CategoryDeletionReport
+    deactivateCategory(id: ID!, policy: CategoryDeletionPolicy = RESTRICT, targetId: ID): CategoryDeletionReport
+    updatePostCategory(postId: ID!, categoryId: ID!, expectedVersion: Int): Post
+
+    # Guests must pass authorName and authorEmail
+    addComment(postId: ID!, parentId: ID, content: String!, authorName: String, authorEmail: String): Comment
+    moderateComments(ids: [ID!]!, action: ModerationAction!): [Comment!]!
+    deleteComment(id: ID!): Boolean
+
+    # Related posts that always come first, replacing the current ones (editors only, at most 10).
+    # Saved as a new version; pass expectedVersion to fail with a CONFLICT error if the post changed.
+    pinRelatedPosts(postId: ID!, relatedIds: [ID!]!, expectedVersion: Int): Post
+
+    # Reindex every published post into a fresh search index (admin only); returns the number indexed
+    rebuildSearchIndex: Int
+
+    # Views and reactions of published posts. Guests are told apart by IP address and user agent,
+    # and further by visitorId (e.g. a first-party cookie) when given. Both are limited per IP
+    # address: reactions over the limit fail with RATE_LIMIT_EXCEEDED.
+    # recordPostView returns false when the view was not counted (repeat view, bot or rate limit).
+    recordPostView(postId: ID!, visitorId: String): Boolean
+    addReaction(postId: ID!, type: ReactionType!, visitorId: String): Post
+    removeReaction(postId: ID!, type: ReactionType!, visitorId: String): Post
 
-    createCategory(name: String!, slug: String!, description: String, parentId: ID): Category
-    updateCategory(id: ID!, name: String, slug: String, description: String, parentId: ID): Category
-    deleteCategory(id: ID!): Boolean
-    updatePostCategory(postId: ID!, categoryId: ID!): Post
+    # Redirect rules (admin only)
+    createRedirect(from: String!, to: String!, statusCode: Int = 301, note: String): Redirect
+    updateRedirect(id: ID!, from: String, to: String, statusCode: Int, isActive: Boolean, note: String): Redirect
+    deleteRedirect(id: ID!): Boolean
   }
 `;
 
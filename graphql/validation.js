@@ -0,0 +1,36 @@
+// graphql/validation.js
+// Mutation arguments are checked against the Joi schemas of the REST API (middleware/validation.js),
+// so both APIs accept the same input. Invalid input fails with BAD_USER_INPUT and the invalid
+// fields in extensions.fields.
+const { UserInputError } = require('apollo-server-express');
+
+// GraphQL clients send null for arguments they leave out; Joi would reject those
+const withoutNulls = (value) => {
+  if (Array.isArray(value)) return value.map(withoutNulls);
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([, field]) => field !== null && field !== undefined)
+      .map(([key, field]) => [key, withoutNulls(field)]));
+  }
+  return value;
+};
+
+// Throw unless args satisfy the schema. The arguments are only checked: the models still
+// normalize what is saved, so values are not replaced by Joi's converted ones.
+const validateArgs = (schema, args) => {
+  const { error } = schema.validate(withoutNulls(args), {
+    abortEarly: false,
+    allowUnknown: true,
+    convert: true
+  });
+  if (error) {
+    throw new UserInputError(error.details.map(detail => detail.message).join('; '), {
+      fields: error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }))
+    });
+  }
+};
+
+module.exports = { validateArgs };
@@ -0,0 +1,68 @@
+// middleware/apiErrors.js
+// Error handler for the REST routes. The services they share with GraphQL throw Apollo errors;
+// here those become HTTP responses in the { error, code } shape of the other routes, as do
+// malformed JSON bodies, Mongoose validation and cast errors and duplicate keys. Anything else
+// goes on to the app's handler.
+
+// HTTP status of each Apollo error code
+const STATUS_BY_CODE = {
+  BAD_USER_INPUT: 400,
+  UNAUTHENTICATED: 401,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  CONFLICT: 409
+};
+
+const handleApiErrors = (err, req, res, next) => {
+  const code = err.extensions && err.extensions.code;
+  if (STATUS_BY_CODE[code]) {
+    // Extra extensions carry details, e.g. the current version of a conflicting write
+    const { code: _, exception, ...details } = err.extensions;
+    return res.status(STATUS_BY_CODE[code]).json({
+      error: err.message,
+      code,
+      ...(Object.keys(details).length > 0 ? { details } : {})
+    });
+  }
+
+  // Raised by express.json() for a body that is not valid JSON
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      error: 'Request body is not valid JSON',
+      code: 'INVALID_JSON'
+    });
+  }
+
+  if (err.name === 'ValidationError' && err.errors) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      code: 'VALIDATION_ERROR',
+      details: Object.values(err.errors).map(error => ({
+        field: error.path,
+        message: error.message,
+        value: error.value
+      }))
+    });
+  }
+
+  if (err.name === 'CastError') {
+    return res.status(400).json({
+      error: `Invalid value for ${err.path}`,
+      code: 'VALIDATION_ERROR',
+      details: [{ field: err.path, message: `Invalid value for ${err.path}`, value: err.value }]
+    });
+  }
+
+  if (err.code === 11000) {
+    const fields = Object.keys(err.keyValue || err.keyPattern || {});
+    return res.status(409).json({
+      error: fields.length > 0 ? `${fields.join(', ')} is already taken` : 'Duplicate value',
+      code: 'DUPLICATE_KEY',
+      details: { fields }
+    });
+  }
+
+  next(err);
+};
+
+module.exports = { handleApiErrors };
@@ -0,0 +1,150 @@
+// middleware/auth.js
+// JWT issuing/verification, request authentication and role-based authorization.
+// The same helpers back both the Express routes and the GraphQL context in server.js.
+const jwt = require('jsonwebtoken');
+const authConfig = require('../config/auth');
+const logger = require('../config/logger');
+const User = require('../models/User');
+
+// ===== ROLES =====
+
+// Roles allowed to manage any content and the taxonomy
+const EDITOR_ROLES = ['admin', 'editor'];
+// Roles allowed to put a post live
+const PUBLISHER_ROLES = ['admin', 'editor', 'author'];
+
+// ===== TOKENS =====
+
+const signAccessToken = (user) => {
+  return jwt.sign(
+    { sub: user.id, role: user.role, tv: user.tokenVersion, type: 'access' },
+    authConfig.accessTokenSecret,
+    { expiresIn: authConfig.accessTokenExpiresIn, issuer: authConfig.issuer }
+  );
+};
+
+const signRefreshToken = (user) => {
+  return jwt.sign(
+    { sub: user.id, tv: user.tokenVersion, type: 'refresh' },
+    authConfig.refreshTokenSecret,
+    { expiresIn: authConfig.refreshTokenExpiresIn, issuer: authConfig.issuer }
+  );
+};
+
+const issueTokens = (user) => ({
+  accessToken: signAccessToken(user),
+  refreshToken: signRefreshToken(user),
+  user
+});
+
+// Resolves the user a token belongs to, or null if the token is invalid, expired or revoked
+const resolveTokenUser = async (token, secret, expectedType) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, secret, { issuer: authConfig.issuer });
+  } catch (error) {
+    return null;
+  }
+
+  if (payload.type !== expectedType) return null;
+
+  const user = await User.findById(payload.sub);
+  if (!user || !user.isActive || user.tokenVersion !== payload.tv) {
+    return null;
+  }
+  return user;
+};
+
+const verifyAccessToken = (token) => resolveTokenUser(token, authConfig.accessTokenSecret, 'access');
+const verifyRefreshToken = (token) => resolveTokenUser(token, authConfig.refreshTokenSecret, 'refresh');
+
+const getTokenFromRequest = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+// Returns the authenticated user for a request, or null for anonymous requests
+const getUserFromRequest = async (req) => {
+  const token = getTokenFromRequest(req);
+  if (!token) return null;
+
+  try {
+    return await verifyAccessToken(token);
+  } catch (error) {
+    logger.error('Failed to resolve user from token:', error);
+    return null;
+  }
+};
+
+// ===== PERMISSIONS =====
+
+const isPostOwner = (user, post) => {
+  return Boolean(user && post.createdBy && post.createdBy.toString() === user.id);
+};
+
+const canEditPost = (user, post) => {
+  if (!user) return false;
+  if (EDITOR_ROLES.includes(user.role)) return true;
+  if (!isPostOwner(user, post)) return false;
+  // Contributors lose edit rights once their post has gone live
+  return user.role !== 'contributor' || post.status !== 'published';
+};
+
+const canDeletePost = canEditPost;
+
+const canPublish = (user) => Boolean(user && PUBLISHER_ROLES.includes(user.role));
+
+// ===== EXPRESS MIDDLEWARE =====
+
+const authenticate = async (req, res, next) => {
+  const token = getTokenFromRequest(req);
+  if (!token) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      code: 'UNAUTHENTICATED'
+    });
+  }
+
+  try {
+    const user = await verifyAccessToken(token);
+    if (!user) {
+      return res.status(401).json({
+        error: 'Invalid or expired token',
+        code: 'INVALID_TOKEN'
+      });
+    }
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Must run after authenticate
+const authorize = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({
+        error: 'You do not have permission to perform this action',
+        code: 'FORBIDDEN'
+      });
+    }
+    next();
+  };
+};
+
+module.exports = {
+  EDITOR_ROLES,
+  PUBLISHER_ROLES,
+  issueTokens,
+  verifyAccessToken,
+  verifyRefreshToken,
+  getUserFromRequest,
+  isPostOwner,
+  canEditPost,
+  canDeletePost,
+  canPublish,
+  authenticate,
+  authorize
+};
@@ -5,9 +5,28 @@ const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
 const mongoSanitize = require('express-mongo-sanitize');
 const xss = require('xss');
+const { CONTENT_FORMATS, sanitizeHtml } = require('../utils/contentRenderer');
+const { MAX_PAGE_SIZE } = require('../utils/pagination');
+const { blockSchema } = require('../utils/contentBlocks');
+const { postResource, categoryResource, tagResource, resourceFields } = require('../utils/resources');
 
 // ===== VALIDATION SCHEMAS =====
 
+const postContentSchema = Joi.string()
+  .min(1)
+  .max(50000)
+  .messages({
+    'string.empty': 'Content is required',
+    'string.max': 'Content cannot exceed 50,000 characters',
+    'any.required': 'Content is required unless blocks are given'
+  });
+
+const postStatusSchema = Joi.string()
+  .valid('draft', 'pending', 'changes_requested', 'approved', 'scheduled', 'published', 'archived')
+  .messages({
+    'any.only': 'Status must be one of: draft, pending, changes_requested, approved, scheduled, published, archived'
+  });
+
 const postSchema = Joi.object({
   title: Joi.string()
     .trim()
@@ -20,13 +39,20 @@ const postSchema = Joi.object({
       'string.max': 'Title cannot exceed 200 characters'
     }),
   
-  content: Joi.string()
-    .min(1)
-    .max(50000)
-    .required()
+  // Generated from blocks when those are given
+  content: postContentSchema
+    .when('blocks', { is: Joi.array().min(1).required(), then: Joi.optional(), otherwise: Joi.required() }),
+  
+  blocks: Joi.array()
+    .items(blockSchema)
+    .max(500)
+    .optional(),
+  
+  contentFormat: Joi.string()
+    .valid(...CONTENT_FORMATS)
+    .optional()
     .messages({
-      'string.empty': 'Content is required',
-      'string.max': 'Content cannot exceed 50,000 characters'
+      'any.only': `Content format must be one of: ${CONTENT_FORMATS.join(', ')}`
     }),
   
   slug: Joi.string()
@@ -40,12 +66,7 @@ const postSchema = Joi.object({
       'string.max': 'Slug cannot exceed 100 characters'
     }),
   
-  status: Joi.string()
-    .valid('draft', 'published', 'pending', 'archived')
-    .default('draft')
-    .messages({
-      'any.only': 'Status must be one of: draft, published, pending, archived'
-    }),
+  status: postStatusSchema.default('draft'),
   
   categories: Joi.array()
     .items(Joi.string().custom((value, helpers) => {
@@ -61,6 +82,15 @@ const postSchema = Joi.object({
       'any.invalid': 'Invalid category ID format'
     }),
   
+  // Tag IDs or names; unknown names are created
+  tags: Joi.array()
+    .items(Joi.string().trim().min(1).max(50))
+    .max(20)
+    .optional()
+    .messages({
+      'array.max': 'Cannot assign more than 20 tags'
+    }),
+  
   metaTitle: Joi.string()
     .trim()
     .max(60)
@@ -77,15 +107,49 @@ const postSchema = Joi.object({
       'string.max': 'Meta description cannot exceed 160 characters'
     }),
   
-  author: Joi.string()
-    .trim()
-    .max(100)
+  authors: Joi.array()
+    .items(Joi.string().custom((value, helpers) => {
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        return helpers.error('any.invalid');
+      }
+      return value;
+    }, 'ObjectId validation'))
+    .unique()
+    .max(10)
     .optional()
     .messages({
-      'string.max': 'Author name cannot exceed 100 characters'
+      'array.max': 'Cannot assign more than 10 authors',
+      'array.unique': 'An author can only be listed once',
+      'any.invalid': 'Invalid author ID format'
     }),
   
-  featured: Joi.boolean().optional()
+  scheduledFor: Joi.date()
+    .iso()
+    .greater('now')
+    .when('status', { is: 'scheduled', then: Joi.required() })
+    .messages({
+      'date.greater': 'Scheduled date must be in the future',
+      'any.required': 'Scheduled date is required when status is scheduled'
+    }),
+
+  unpublishAt: Joi.date()
+    .iso()
+    .optional()
+    .messages({
+      'date.format': 'Unpublish date must be in ISO format'
+    }),
+
+  featured: Joi.boolean().optional(),
+
+  language: Joi.string()
+    .lowercase()
+    .pattern(/^[a-z]{2}$/)
+    .optional()
+    .messages({
+      'string.pattern.base': 'Language must be a two-letter ISO 639-1 code'
+    }),
+  
+  commentsEnabled: Joi.boolean().optional()
 });
 
 const categorySchema = Joi.object({
@@ -105,9 +169,9 @@ const categorySchema = Joi.object({
     .lowercase()
     .pattern(/^[a-z0-9-]+$/)
     .max(100)
-    .required()
+    .optional()
     .messages({
-      'string.empty': 'Category slug is required',
+      'string.empty': 'Category slug cannot be empty',
       'string.pattern.base': 'Slug can only contain lowercase letters, numbers, and hyphens',
       'string.max': 'Slug cannot exceed 100 characters'
     }),
@@ -188,9 +252,55 @@ const tagSchema = Joi.object({
     .optional()
     .messages({
       'string.pattern.base': 'Color must be a valid hex color code (e.g., #FF0000)'
+    }),
+  
+  aliases: Joi.array()
+    .items(Joi.string()
+      .trim()
+      .lowercase()
+      .max(50)
+      .pattern(/^[a-z0-9\s-]+$/))
+    .unique()
+    .max(20)
+    .optional()
+    .messages({
+      'array.max': 'A tag cannot have more than 20 aliases',
+      'array.unique': 'Aliases must be unique',
+      'string.pattern.base': 'Tag aliases can only contain letters, numbers, spaces, and hyphens'
     })
 });
 
+// Cursor pagination (see utils/pagination.js)
+const paginationKeys = {
+  first: Joi.number()
+    .integer()
+    .min(0)
+    .max(MAX_PAGE_SIZE)
+    .optional()
+    .messages({
+      'number.min': 'first must be 0 or greater',
+      'number.max': `first cannot exceed ${MAX_PAGE_SIZE}`
+    }),
+  
+  after: Joi.string()
+    .max(500)
+    .optional(),
+  
+  last: Joi.number()
+    .integer()
+    .min(0)
+    .max(MAX_PAGE_SIZE)
+    .optional()
+    .messages({
+      'number.min': 'last must be 0 or greater',
+      'number.max': `last cannot exceed ${MAX_PAGE_SIZE}`
+    }),
+  
+  before: Joi.string()
+    .max(500)
+    .optional()
+};
+
 const filterSchema = Joi.object({
   searchText: Joi.string()
     .trim()
@@ -212,13 +322,42 @@ const filterSchema = Joi.object({
       'any.invalid': 'Invalid category ID format'
     }),
   
-  status: Joi.string()
-    .valid('draft', 'published', 'pending', 'archived')
+  subcategoryId: Joi.string()
+    .custom((value, helpers) => {
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        return helpers.error('any.invalid');
+      }
+      return value;
+    }, 'ObjectId validation')
+    .optional()
+    .messages({
+      'any.invalid': 'Invalid subcategory ID format'
+    }),
+  
+  tagIds: Joi.array()
+    .items(Joi.string().custom((value, helpers) => {
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        return helpers.error('any.invalid');
+      }
+      return value;
+    }, 'ObjectId validation'))
+    .single()
     .optional()
     .messages({
-      'any.only': 'Status must be one of: draft, published, pending, archived'
+      'any.invalid': 'Invalid tag ID format'
     }),
   
+  tags: Joi.array()
+    .items(Joi.string().trim().max(50))
+    .single()
+    .optional(),
+  
+  tagMatch: Joi.string()
+    .valid('ANY', 'ALL')
+    .default('ANY'),
+  
+  status: postStatusSchema.optional(),
+  
   publishedAfter: Joi.date()
     .iso()
     .optional()
@@ -233,27 +372,146 @@ const filterSchema = Joi.object({
       'date.format': 'Published before date must be in ISO format'
     }),
   
-  limit: Joi.number()
-    .integer()
-    .min(1)
-    .max(100)
-    .default(10)
+  ...paginationKeys
+}).oxor('first', 'last')
+  .messages({
+    'object.oxor': 'Use either first or last, not both'
+  });
+
+// ===== REST API SCHEMAS =====
+
+// Partial updates: every field is optional and nothing is defaulted
+const postUpdateSchema = postSchema
+  .fork(['title'], (schema) => schema.optional())
+  .keys({
+    content: postContentSchema.optional(),
+    status: postStatusSchema.optional(),
+    // Version the changes are based on; a newer version on the server is a conflict
+    expectedVersion: Joi.number().integer().min(1).optional()
+  });
+
+const categoryUpdateSchema = categorySchema
+  .fork(['name'], (schema) => schema.optional())
+  .keys({
+    // null moves the category to the top level
+    parentId: categorySchema.extract('parentId').allow(null),
+    expectedVersion: Joi.number().integer().min(1).optional()
+  });
+
+const tagUpdateSchema = tagSchema
+  .fork(['name'], (schema) => schema.optional())
+  .keys({
+    // Renames keep the old name as an alias unless this is false
+    keepOldNameAsAlias: Joi.boolean().default(true)
+  });
+
+const categoryDeletionSchema = Joi.object({
+  policy: Joi.string()
+    .valid('reassign', 'promote', 'restrict')
+    .default('restrict')
+    .messages({
+      'any.only': 'Policy must be one of: reassign, promote, restrict'
+    }),
+
+  targetId: Joi.string()
+    .custom((value, helpers) => {
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        return helpers.error('any.invalid');
+      }
+      return value;
+    }, 'ObjectId validation')
+    .when('policy', { is: 'reassign', then: Joi.required() })
+    .messages({
+      'any.invalid': 'Invalid target category ID format',
+      'any.required': 'targetId is required to reassign posts and subcategories'
+    })
+});
+
+// ?fields=title,slug selects fields of a resource (see utils/resources.js); the value becomes an array
+const fieldsKey = (resource) => {
+  const names = resourceFields(resource);
+  return Joi.string()
+    .custom((value, helpers) => {
+      const fields = [...new Set(value.split(',').map(field => field.trim()).filter(Boolean))];
+      if (fields.some(field => !names.includes(field))) {
+        return helpers.error('any.invalid');
+      }
+      return fields;
+    }, 'Field list')
     .optional()
+    .description('Comma-separated fields to return; id is always included')
     .messages({
-      'number.min': 'Limit must be at least 1',
-      'number.max': 'Limit cannot exceed 100'
+      'any.invalid': `fields can only list: ${names.join(', ')}`
+    });
+};
+
+const sortKeys = (fields) => ({
+  sort: Joi.string()
+    .valid(...fields)
+    .optional()
+    .messages({
+      'any.only': `sort must be one of: ${fields.join(', ')}`
     }),
-  
-  offset: Joi.number()
-    .integer()
-    .min(0)
-    .default(0)
+
+  direction: Joi.string()
+    .lowercase()
+    .valid('asc', 'desc')
     .optional()
     .messages({
-      'number.min': 'Offset must be 0 or greater'
+      'any.only': 'direction must be asc or desc'
     })
 });
 
+const postListSchema = filterSchema.keys({
+  ...sortKeys(['publishedAt', 'updatedAt', 'createdAt', 'viewCount', 'title', 'relevance']),
+  fields: fieldsKey(postResource)
+});
+
+const categoryListSchema = Joi.object({
+  // A category ID, or "root" for top-level categories
+  parentId: Joi.string()
+    .custom((value, helpers) => {
+      if (value !== 'root' && !mongoose.Types.ObjectId.isValid(value)) {
+        return helpers.error('any.invalid');
+      }
+      return value;
+    }, 'ObjectId validation')
+    .optional()
+    .messages({
+      'any.invalid': 'parentId must be a category ID or "root"'
+    }),
+
+  isActive: Joi.boolean().optional(),
+
+  ...sortKeys(['sortOrder', 'name', 'createdAt']),
+  fields: fieldsKey(categoryResource),
+  ...paginationKeys
+}).oxor('first', 'last')
+  .messages({
+    'object.oxor': 'Use either first or last, not both'
+  });
+
+const tagListSchema = Joi.object({
+  // Prefix of tag names and aliases
+  search: Joi.string()
+    .trim()
+    .max(50)
+    .optional()
+    .messages({
+      'string.max': 'Search text cannot exceed 50 characters'
+    }),
+
+  ...sortKeys(['name', 'usageCount', 'createdAt']),
+  fields: fieldsKey(tagResource),
+  ...paginationKeys
+}).oxor('first', 'last')
+  .messages({
+    'object.oxor': 'Use either first or last, not both'
+  });
+
+// Query parameters of single-resource GETs
+const resourceQuerySchema = (resource) => Joi.object({ fields: fieldsKey(resource) });
+
 // ===== VALIDATION MIDDLEWARE FUNCTIONS =====
 
 const createValidator = (schema) => {
@@ -314,7 +572,7 @@ const createQueryValidator = (schema) => {
 // ===== SECURITY MIDDLEWARE =====
 
 // Rate limiting configurations
-const createRateLimit = (windowMs, max, message) => {
+const rateLimiter = (windowMs, max, message) => {
   return rateLimit({
     windowMs,
     max,
@@ -333,19 +591,19 @@ const createRateLimit = (windowMs, max, message) => {
 };
 
 // Different rate limits for different endpoints
-const generalRateLimit = createRateLimit(
+const generalRateLimit = rateLimiter(
   15 * 60 * 1000, // 15 minutes
   100, // 100 requests per window
   'Too many requests from this IP, please try again later'
 );
 
-const uploadRateLimit = createRateLimit(
+const uploadRateLimit = rateLimiter(
   15 * 60 * 1000, // 15 minutes
   20, // 20 uploads per window
   'Too many upload requests from this IP, please try again later'
 );
 
-const createRateLimit = createRateLimit(
+const createRateLimit = rateLimiter(
   15 * 60 * 1000, // 15 minutes
   50, // 50 create operations per window
   'Too many create requests from this IP, please try again later'
@@ -391,37 +649,10 @@ const sanitizeObject = (obj) => {
   return sanitized;
 };
 
-// Content validation for rich text
+// Content validation for rich text. Markdown is left alone here: it is sanitized after rendering.
 const validateRichContent = (req, res, next) => {
-  if (req.body.content) {
-    // Allow specific HTML tags for rich content
-    const allowedTags = {
-      'p': [],
-      'br': [],
-      'strong': [],
-      'em': [],
-      'u': [],
-      'h1': [],
-      'h2': [],
-      'h3': [],
-      'h4': [],
-      'h5': [],
-      'h6': [],
-      'ul': [],
-      'ol': [],
-      'li': [],
-      'blockquote': [],
-      'a': ['href', 'title'],
-      'img': ['src', 'alt', 'title', 'width', 'height'],
-      'code': [],
-      'pre': []
-    };
-    
-    req.body.content = xss(req.body.content, {
-      whiteList: allowedTags,
-      stripIgnoreTag: true,
-      stripIgnoreTagBody: ['script', 'style']
-    });
+  if (req.body.content && req.body.contentFormat !== 'markdown') {
+    req.body.content = sanitizeHtml(req.body.content);
   }
   
   next();
@@ -451,6 +682,16 @@ module.exports = {
   validateCategory: createValidator(categorySchema),
   validateTag: createValidator(tagSchema),
   validateFilter: createQueryValidator(filterSchema),
+  validatePostUpdate: createValidator(postUpdateSchema),
+  validateCategoryUpdate: createValidator(categoryUpdateSchema),
+  validateTagUpdate: createValidator(tagUpdateSchema),
+  validatePostList: createQueryValidator(postListSchema),
+  validateCategoryList: createQueryValidator(categoryListSchema),
+  validateTagList: createQueryValidator(tagListSchema),
+  validateCategoryDeletion: createQueryValidator(categoryDeletionSchema),
+  validatePostQuery: createQueryValidator(resourceQuerySchema(postResource)),
+  validateCategoryQuery: createQueryValidator(resourceQuerySchema(categoryResource)),
+  validateTagQuery: createQueryValidator(resourceQuerySchema(tagResource)),
   
   // Security middlewares
   helmet: helmet({
@@ -487,6 +728,14 @@ module.exports = {
     postSchema,
     categorySchema,
     tagSchema,
-    filterSchema
+    filterSchema,
+    postUpdateSchema,
+    categoryUpdateSchema,
+    tagUpdateSchema,
+    categoryDeletionSchema,
+    postListSchema,
+    categoryListSchema,
+    tagListSchema,
+    resourceQuerySchema
   }
 };
\ No newline at end of file
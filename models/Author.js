@@ -0,0 +1,98 @@
+// models/Author.js
+// This file defines the Author profile model for the blog application using Mongoose.
+// An author profile is the public byline shown on posts (display name, bio, avatar, social links).
+// It can optionally be linked to a User account so that the user writes under that profile.
+const mongoose = require('mongoose');
+const { slugify, uniqueSlug } = require('../utils/slug');
+
+const SOCIAL_PLATFORMS = ['website', 'twitter', 'github', 'linkedin', 'facebook', 'instagram', 'youtube', 'mastodon'];
+
+const SocialLinkSchema = new mongoose.Schema({
+  platform: {
+    type: String,
+    required: [true, 'Social link platform is required'],
+    enum: {
+      values: SOCIAL_PLATFORMS,
+      message: `Platform must be one of: ${SOCIAL_PLATFORMS.join(', ')}`
+    }
+  },
+  url: {
+    type: String,
+    required: [true, 'Social link URL is required'],
+    trim: true,
+    maxlength: [500, 'Social link URL cannot exceed 500 characters'],
+    match: [/^https?:\/\//, 'Social link URL must start with http:// or https://']
+  }
+}, { _id: false });
+
+const AuthorSchema = new mongoose.Schema({
+  displayName: {
+    type: String,
+    required: [true, 'Display name is required'],
+    trim: true,
+    maxlength: [100, 'Display name cannot exceed 100 characters'],
+    minlength: [1, 'Display name must be at least 1 character']
+  },
+  slug: {
+    type: String,
+    required: [true, 'Author slug is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9-]+$/, 'Slug can only contain lowercase letters, numbers, and hyphens'],
+    maxlength: [100, 'Slug cannot exceed 100 characters']
+  },
+  bio: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Bio cannot exceed 2000 characters']
+  },
+  avatar: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Image',
+    default: null
+  },
+  socialLinks: {
+    type: [SocialLinkSchema],
+    default: []
+  },
+  // Optional link to the login account that writes under this profile
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// ===== INDEXES =====
+AuthorSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { user: { $type: 'objectId' } } });
+AuthorSchema.index({ displayName: 1 });
+
+// ===== MIDDLEWARE =====
+AuthorSchema.pre('validate', function(next) {
+  // Auto-generate slug if not provided
+  if (!this.slug && this.displayName) {
+    this.slug = slugify(this.displayName);
+  }
+  next();
+});
+
+// ===== STATIC METHODS =====
+
+// Finds the profile with the given display name, creating it if needed (used by the author migration)
+AuthorSchema.statics.findOrCreateByName = async function(displayName) {
+  const name = String(displayName).trim();
+  const existing = await this.findOne({ displayName: name });
+  if (existing) return existing;
+
+  const slug = await uniqueSlug(slugify(name) || 'author', (candidate) => this.exists({ slug: candidate }));
+  return this.create({ displayName: name, slug });
+};
+
+AuthorSchema.statics.SOCIAL_PLATFORMS = SOCIAL_PLATFORMS;
+
+module.exports = mongoose.model('Author', AuthorSchema);
@@ -4,6 +4,8 @@
 // models/Category.js - Enhanced with indexes and validation
 
 const mongoose = require('mongoose');
+const slugHistory = require('./plugins/slugHistory');
+const { emitAfterCommit } = require('../utils/events');
 const CategorySchema = new mongoose.Schema({
   name: { 
     type: String, 
@@ -39,6 +41,12 @@ const CategorySchema = new mongoose.Schema({
       message: 'Category cannot be its own parent'
     }
   },
+  // Materialized path: IDs of every ancestor from the root down to the parent.
+  // Maintained on save; moving a category rewrites it for the whole subtree.
+  ancestors: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+    default: []
+  },
   // Additional fields
   color: {
     type: String,
@@ -57,6 +65,22 @@ const CategorySchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Optimistic concurrency counter, bumped on every update
+  version: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // Fields changed by recent versions, used to report what changed in an edit conflict
+  changeLog: {
+    type: [{
+      _id: false,
+      version: { type: Number, required: true },
+      fields: [{ type: String }],
+      at: { type: Date, default: Date.now }
+    }],
+    default: []
   }
 }, { 
   timestamps: true,
@@ -64,56 +88,92 @@ const CategorySchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+// Collision-free slugs generated from the name, with previous slugs kept for redirects
+CategorySchema.plugin(slugHistory, { source: 'name', fallback: 'category' });
+
 // ===== INDEXES =====
 CategorySchema.index({ parent: 1, sortOrder: 1 }); // For hierarchical queries
 CategorySchema.index({ slug: 1 }, { unique: true }); // For URL routing
 CategorySchema.index({ name: 1 }); // For name-based searches
 CategorySchema.index({ isActive: 1, sortOrder: 1 }); // For active categories
 CategorySchema.index({ parent: 1, isActive: 1, sortOrder: 1 }); // Compound for subcategories
+CategorySchema.index({ ancestors: 1 }); // For subtree queries
 
 // ===== VIRTUAL FIELDS =====
 CategorySchema.virtual('level').get(function() {
-  // Calculate nesting level (0 for root categories)
-  let level = 0;
-  let current = this.parent;
-  while (current && level < 10) { // Prevent infinite loops
-    level++;
-    current = current.parent;
-  }
-  return level;
+  // Nesting level (0 for root categories)
+  return this.ancestors ? this.ancestors.length : 0;
 });
 
+// ===== METHODS =====
+
+// Number of versions kept in changeLog
+const CHANGE_LOG_LIMIT = 20;
+// Fields tracked in changeLog
+const TRACKED_FIELDS = ['name', 'slug', 'description', 'parent', 'color', 'icon', 'sortOrder', 'isActive'];
+
+// Bump the version, logging the fields modified on this document; returns the changed fields
+CategorySchema.methods.bumpVersion = function() {
+  const fields = TRACKED_FIELDS.filter(field => this.isModified(field));
+  this.version = (this.version || 1) + 1;
+  this.changeLog = [...this.changeLog, { version: this.version, fields, at: new Date() }]
+    .slice(-CHANGE_LOG_LIMIT);
+  return fields;
+};
+
+// Fields changed after `version`; when the log no longer reaches back that far every tracked field is reported
+CategorySchema.methods.changedFieldsSince = function(version) {
+  if (version === undefined || version === null || version >= this.version) return [];
+
+  const entries = this.changeLog.filter(entry => entry.version > version);
+  if (entries.length < this.version - version) return [...TRACKED_FIELDS];
+  return [...new Set(entries.flatMap(entry => entry.fields))];
+};
+
 // ===== MIDDLEWARE =====
-CategorySchema.pre('save', function(next) {
-  // Auto-generate slug if not provided
-  if (!this.slug && this.name) {
-    this.slug = this.name
-      .toLowerCase()
-      .replace(/[^a-z0-9\s-]/g, '')
-      .replace(/\s+/g, '-')
-      .replace(/-+/g, '-')
-      .trim();
+
+// Problems with the parent are reported as validation errors of the parent field, so the APIs
+// return them as invalid input
+const parentError = (category, message) => {
+  const error = new mongoose.Error.ValidationError(category);
+  error.addError('parent', new mongoose.Error.ValidatorError({ path: 'parent', message, value: category.parent }));
+  return error;
+};
+
+// Maintain the ancestors path and prevent circular references. The parent's own path is
+// already materialized, so a single lookup is enough.
+CategorySchema.pre('save', async function(next) {
+  if (!this.isNew && !this.isModified('parent')) return next();
+
+  if (!this.parent) {
+    this.ancestors = [];
+    return next();
+  }
+
+  const parent = await this.constructor.findById(this.parent)
+    .select('ancestors')
+    .session(this.$session());
+  if (!parent) {
+    return next(parentError(this, 'Parent category not found'));
   }
+  if (parent.ancestors.some(id => id.equals(this._id))) {
+    return next(parentError(this, 'Circular reference detected in category hierarchy'));
+  }
+
+  this.ancestors = [...parent.ancestors, parent._id];
   next();
 });
 
-// Prevent circular references
-CategorySchema.pre('save', async function(next) {
-  if (!this.parent) return next();
-  
-  // Check for circular reference
-  let current = await this.constructor.findById(this.parent);
-  const visited = new Set([this._id.toString()]);
-  
-  while (current) {
-    if (visited.has(current._id.toString())) {
-      return next(new Error('Circular reference detected in category hierarchy'));
-    }
-    visited.add(current._id.toString());
-    current = current.parent ? await this.constructor.findById(current.parent) : null;
-  }
-  
+// Announce renamed categories (see utils/events.js), e.g. to the search index
+CategorySchema.pre('save', function(next) {
+  this.$locals.renamed = !this.isNew && this.isModified('name');
   next();
 });
 
+CategorySchema.post('save', function(doc) {
+  if (doc.$locals.renamed) {
+    emitAfterCommit('category:changed', doc._id, doc.$session());
+  }
+});
+
 module.exports = mongoose.model('Category', CategorySchema);
@@ -0,0 +1,125 @@
+// models/Comment.js
+// This file defines the Comment model for reader comments on posts.
+// Comments are threaded: a reply points at its parent and at the top-level comment of its thread (root).
+// New comments are scored by the spam heuristics in services/commentService.js and wait in the
+// moderation queue unless approved automatically. Only approved comments are shown to readers.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const STATUSES = ['pending', 'approved', 'spam', 'deleted'];
+
+const CommentSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Comment must belong to a post']
+  },
+  // Direct parent for replies, null for top-level comments
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  // Top-level comment of the thread, null for top-level comments
+  root: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  depth: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  content: {
+    type: String,
+    required: [true, 'Comment content is required'],
+    trim: true,
+    maxlength: [5000, 'Comment cannot exceed 5,000 characters']
+  },
+  // Signed-in commenter; guests leave a name and email instead
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  authorName: {
+    type: String,
+    required: [true, 'Commenter name is required'],
+    trim: true,
+    maxlength: [100, 'Commenter name cannot exceed 100 characters']
+  },
+  authorEmail: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address'],
+    validate: {
+      validator: function(value) {
+        return Boolean(this.user || value);
+      },
+      message: 'Guest commenters must provide an email address'
+    }
+  },
+  status: {
+    type: String,
+    default: 'pending',
+    enum: {
+      values: STATUSES,
+      message: `Status must be one of: ${STATUSES.join(', ')}`
+    }
+  },
+  // Spam heuristics result at submission time
+  spamScore: {
+    type: Number,
+    default: 0
+  },
+  spamReasons: {
+    type: [String],
+    default: []
+  },
+  // Hash of the normalized content, for duplicate detection
+  contentHash: {
+    type: String
+  },
+  ipAddress: { type: String },
+  userAgent: { type: String },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  moderatedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// ===== INDEXES =====
+CommentSchema.index({ post: 1, parent: 1, status: 1, createdAt: 1 }); // For comment threads
+CommentSchema.index({ root: 1, status: 1, createdAt: 1 }); // For replies within a thread
+CommentSchema.index({ status: 1, createdAt: -1 }); // For the moderation queue
+CommentSchema.index({ ipAddress: 1, createdAt: -1 }); // For rate checks
+CommentSchema.index({ contentHash: 1, createdAt: -1 }); // For duplicate checks
+
+// ===== MIDDLEWARE =====
+CommentSchema.pre('save', function(next) {
+  if (this.isModified('content')) {
+    this.contentHash = this.constructor.hashContent(this.content);
+  }
+  next();
+});
+
+// ===== STATIC METHODS =====
+
+// Hash of the content ignoring case and whitespace, so trivially altered copies still match
+CommentSchema.statics.hashContent = function(content) {
+  const normalized = String(content || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+CommentSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('Comment', CommentSchema);
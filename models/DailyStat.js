@@ -0,0 +1,50 @@
+// models/DailyStat.js
+// This file defines the DailyStat model: pre-aggregated engagement counts for one day.
+// Each document holds the views, reactions and publishes of one post, category or author
+// (or of the whole site) on one UTC day. The analytics queries read only these documents.
+// Counts are written by services/analytics.js as views, reactions and publishes happen.
+const mongoose = require('mongoose');
+
+const SCOPES = ['site', 'post', 'category', 'author'];
+
+const DailyStatSchema = new mongoose.Schema({
+  // Start of the UTC day
+  date: {
+    type: Date,
+    required: [true, 'Stat date is required']
+  },
+  scope: {
+    type: String,
+    required: [true, 'Stat scope is required'],
+    enum: {
+      values: SCOPES,
+      message: `Scope must be one of: ${SCOPES.join(', ')}`
+    }
+  },
+  // Post, Category or Author the counts belong to; null for the site scope
+  ref: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  views: {
+    type: Number,
+    default: 0
+  },
+  // Reactions added minus reactions removed that day
+  reactions: {
+    type: Number,
+    default: 0
+  },
+  publishes: {
+    type: Number,
+    default: 0
+  }
+});
+
+// ===== INDEXES =====
+DailyStatSchema.index({ scope: 1, ref: 1, date: 1 }, { unique: true }); // One document per day, also for time series
+DailyStatSchema.index({ scope: 1, date: 1 }); // For rankings over a window
+
+DailyStatSchema.statics.SCOPES = SCOPES;
+
+module.exports = mongoose.model('DailyStat', DailyStatSchema);
@@ -1,5 +1,6 @@
 // models/Image.js - Enhanced version
 const mongoose = require('mongoose');
+const { emitAfterCommit } = require('../utils/events');
 
 const ImageSchema = new mongoose.Schema({
   postId: { 
@@ -25,7 +26,7 @@ const ImageSchema = new mongoose.Schema({
   
   // Upload info
   uploadedAt: { type: Date, default: Date.now },
-  uploadedBy: { type: String }, // User ID or system identifier
+  uploadedBy: { type: String, index: true }, // User ID (set from the authenticated uploader) or system identifier
   
   // SEO and accessibility
   title: { type: String }, // Image title for SEO
@@ -155,4 +156,17 @@ ImageSchema.pre('save', function(next) {
   next();
 });
 
+// Images are part of their post (e.g. in the sitemap), so announce the post as changed
+ImageSchema.post('save', function(doc) {
+  if (doc.postId) {
+    emitAfterCommit('post:changed', doc.postId, doc.$session());
+  }
+});
+
+ImageSchema.post('findOneAndDelete', function(doc) {
+  if (doc && doc.postId) {
+    emitAfterCommit('post:changed', doc.postId, this.getOptions().session);
+  }
+});
+
 module.exports = mongoose.model('Image', ImageSchema);
\ No newline at end of file
@@ -0,0 +1,45 @@
+// models/Lease.js
+// This file defines the Lease model, a lightweight distributed lock stored in MongoDB.
+// Background jobs take a lease before running so that only one server instance does the work;
+// a lease that is not renewed expires and can be taken over by another instance.
+const mongoose = require('mongoose');
+
+const LeaseSchema = new mongoose.Schema({
+  // Lease name, e.g. 'post-scheduler'
+  _id: { type: String },
+  owner: {
+    type: String,
+    required: [true, 'Lease owner is required']
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Lease expiry is required']
+  }
+}, {
+  timestamps: true
+});
+
+// ===== STATIC METHODS =====
+
+// Take or renew the named lease; resolves to true when `owner` holds it afterwards
+LeaseSchema.statics.acquire = async function(name, owner, ttlMs) {
+  const now = new Date();
+  try {
+    const lease = await this.findOneAndUpdate(
+      { _id: name, $or: [{ owner }, { expiresAt: { $lte: now } }] },
+      { $set: { owner, expiresAt: new Date(now.getTime() + ttlMs) } },
+      { upsert: true, new: true }
+    );
+    return lease.owner === owner;
+  } catch (error) {
+    // Another instance holds an unexpired lease, so the upsert collided with its document
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+LeaseSchema.statics.release = function(name, owner) {
+  return this.deleteOne({ _id: name, owner });
+};
+
+module.exports = mongoose.model('Lease', LeaseSchema);
@@ -3,6 +3,41 @@
 // The categories field is an array of ObjectId references to the Category model.
 // models/Post.js - Enhanced with indexes and validation
 const mongoose = require('mongoose');
+const slugHistory = require('./plugins/slugHistory');
+const { CONTENT_FORMATS, renderContent } = require('../utils/contentRenderer');
+const { validateBlocks, blocksToHtml } = require('../utils/contentBlocks');
+const Image = require('./Image');
+const { emitAfterCommit } = require('../utils/events');
+const { defaultLanguage } = require('../config/search');
+
+// Editorial workflow states; allowed transitions live in services/workflow.js
+const STATUSES = ['draft', 'pending', 'changes_requested', 'approved', 'scheduled', 'published', 'archived'];
+
+// One recorded workflow transition
+const WorkflowEventSchema = new mongoose.Schema({
+  action: { type: String, required: true },
+  from: { type: String, required: true },
+  to: { type: String, required: true },
+  // Null when the transition was made by the system (e.g. the scheduler)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Workflow comment cannot exceed 1000 characters']
+  },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Table of contents entry, one per heading in the rendered content
+const TocEntrySchema = new mongoose.Schema({
+  level: { type: Number, required: true, min: 1, max: 6 },
+  text: { type: String, required: true },
+  anchor: { type: String, required: true }
+}, { _id: false });
 
 const PostSchema = new mongoose.Schema({
   title: { 
@@ -17,6 +52,36 @@ const PostSchema = new mongoose.Schema({
     required: [true, 'Content is required'],
     maxlength: [50000, 'Content cannot exceed 50,000 characters']
   },
+  // ISO 639-1 language code; search uses it for stemming and stop words
+  language: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: defaultLanguage,
+    match: [/^[a-z]{2}$/, 'Language must be a two-letter ISO 639-1 code']
+  },
+  // Format of the content source
+  contentFormat: {
+    type: String,
+    default: 'html',
+    enum: {
+      values: CONTENT_FORMATS,
+      message: `Content format must be one of: ${CONTENT_FORMATS.join(', ')}`
+    }
+  },
+  // Structured content for posts authored as blocks (see utils/contentBlocks.js); content is
+  // generated from them. Empty for posts authored as HTML or markdown.
+  blocks: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: undefined
+  },
+  // Rendered from content on save: sanitized HTML, plain text and table of contents
+  contentHtml: { type: String },
+  contentText: { type: String },
+  toc: {
+    type: [TocEntrySchema],
+    default: []
+  },
   slug: { 
     type: String,
     unique: true,
@@ -30,8 +95,8 @@ const PostSchema = new mongoose.Schema({
     type: String, 
     default: 'draft',
     enum: {
-      values: ['draft', 'published', 'pending', 'archived'],
-      message: 'Status must be one of: draft, published, pending, archived'
+      values: STATUSES,
+      message: `Status must be one of: ${STATUSES.join(', ')}`
     }
   },
   publishedAt: { 
@@ -47,6 +112,30 @@ const PostSchema = new mongoose.Schema({
       message: 'Published date is required when status is published'
     }
   },
+  // When a scheduled post goes live (picked up by services/scheduler.js)
+  scheduledFor: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: function(value) {
+        return this.status !== 'scheduled' || Boolean(value);
+      },
+      message: 'Scheduled date is required when status is scheduled'
+    }
+  },
+  // When a published or scheduled post is automatically taken down
+  unpublishAt: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: function(value) {
+        if (!value) return true;
+        const goesLiveAt = this.status === 'scheduled' ? this.scheduledFor : this.publishedAt;
+        return !goesLiveAt || value > goesLiveAt;
+      },
+      message: 'Unpublish date must be after the publish date'
+    }
+  },
   updatedAt: { type: Date, default: Date.now },
   version: { type: Number, default: 1, min: 1 },
   // Array of category references
@@ -54,6 +143,19 @@ const PostSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Category'
   }],
+  // Array of tag references; usage counts are maintained by services/tagService.js
+  tags: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tag'
+    }],
+    validate: {
+      validator: function(value) {
+        return value.length <= 20;
+      },
+      message: 'Cannot assign more than 20 tags to a post'
+    }
+  },
   // SEO fields
   metaTitle: {
     type: String,
@@ -65,27 +167,72 @@ const PostSchema = new mongoose.Schema({
     trim: true,
     maxlength: [160, 'Meta description cannot exceed 160 characters']
   },
-  // Author information
-  author: {
-    type: String,
-    trim: true,
-    maxlength: [100, 'Author name cannot exceed 100 characters']
+  // User who created the post; used for ownership checks
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  // Author profiles in byline order (first entry is the primary author)
+  authors: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Author'
+    }],
+    validate: {
+      validator: function(value) {
+        const ids = value.map(id => id.toString());
+        return new Set(ids).size === ids.length;
+      },
+      message: 'An author can only be listed once per post'
+    }
   },
   // Reading time in minutes
   readingTime: {
     type: Number,
     min: [0, 'Reading time cannot be negative']
   },
-  // View count
+  // Number of approved comments, maintained by services/commentService.js
+  commentCount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Comment count cannot be negative']
+  },
+  commentsEnabled: {
+    type: Boolean,
+    default: true
+  },
+  // Deduplicated views, incremented in batches by services/engagement.js
   viewCount: {
     type: Number,
     default: 0,
     min: [0, 'View count cannot be negative']
   },
+  // Number of reactions of each type (type -> count), maintained by services/engagement.js
+  reactionCounts: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  // Related posts chosen by editors, shown before the computed ones (services/relatedPosts.js)
+  pinnedRelatedPosts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  }],
   // Featured flag
   featured: {
     type: Boolean,
     default: false
+  },
+  // Users asked to review this post
+  reviewers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Audit trail of workflow transitions, oldest first
+  workflowHistory: {
+    type: [WorkflowEventSchema],
+    default: []
   }
 }, {
   timestamps: true,
@@ -93,6 +240,9 @@ const PostSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+// Collision-free slugs generated from the title, with previous slugs kept for redirects
+PostSchema.plugin(slugHistory, { source: 'title', fallback: 'post' });
+
 // ===== INDEXES FOR PERFORMANCE =====
 
 // Full-text search index
@@ -115,42 +265,76 @@ PostSchema.index({
 PostSchema.index({ status: 1, publishedAt: -1 }); // For published posts chronologically
 PostSchema.index({ status: 1, featured: -1, publishedAt: -1 }); // For featured content
 PostSchema.index({ categories: 1, status: 1, publishedAt: -1 }); // For category filtering
+PostSchema.index({ tags: 1, status: 1, publishedAt: -1 }); // For tag filtering
 PostSchema.index({ slug: 1 }, { unique: true, sparse: true }); // For SEO-friendly URLs
 PostSchema.index({ updatedAt: -1 }); // For recent updates
 PostSchema.index({ viewCount: -1 }); // For popular content
-PostSchema.index({ author: 1, status: 1 }); // For author-specific queries
+PostSchema.index({ authors: 1, status: 1, publishedAt: -1 }); // For author-specific queries
 
 // Compound indexes for complex queries
 PostSchema.index({ status: 1, categories: 1, publishedAt: -1 }); // Category + status filtering
 PostSchema.index({ featured: 1, status: 1, publishedAt: -1 }); // Featured content queries
 
+// Review queue lookups
+PostSchema.index({ status: 1, reviewers: 1, updatedAt: 1 });
+
+// Scheduler lookups
+PostSchema.index({ status: 1, scheduledFor: 1 });
+PostSchema.index({ status: 1, unpublishAt: 1 });
+
 // ===== VIRTUAL FIELDS =====
 PostSchema.virtual('excerpt').get(function() {
-  if (!this.content) return '';
-  return this.content.substring(0, 200) + (this.content.length > 200 ? '...' : '');
+  const text = this.renderedContent().text;
+  if (!text) return '';
+  return text.substring(0, 200) + (text.length > 200 ? '...' : '');
 });
 
 PostSchema.virtual('isPublished').get(function() {
-  return this.status === 'published' && this.publishedAt && this.publishedAt <= new Date();
+  const now = new Date();
+  return this.status === 'published' &&
+    Boolean(this.publishedAt) && this.publishedAt <= now &&
+    (!this.unpublishAt || this.unpublishAt > now);
 });
 
 // ===== MIDDLEWARE =====
 
-// Pre-save middleware for slug generation and validation
+// Blocks are the source of the content when present: validate them and generate the HTML
+PostSchema.pre('validate', async function(next) {
+  if (this.isModified('blocks') && this.blocks && this.blocks.length > 0) {
+    const { value, error } = validateBlocks(this.blocks);
+    if (error) {
+      this.invalidate('blocks', `Invalid content block: ${error.message}`);
+      return next();
+    }
+
+    const imageIds = value.filter(block => block.type === 'image' && block.imageId).map(block => block.imageId);
+    const images = imageIds.length > 0
+      ? await Image.find({ _id: { $in: imageIds } }).session(this.$session())
+      : [];
+
+    this.blocks = value;
+    this.content = blocksToHtml(value, new Map(images.map(image => [image.id, image])));
+    this.contentFormat = 'html';
+  } else if (this.isModified('content') && !this.isModified('blocks')) {
+    // Content edited directly; blocks are derived from it from now on
+    this.blocks = undefined;
+  }
+  next();
+});
+
+// Pre-save middleware for derived fields and validation
 PostSchema.pre('save', function(next) {
-  // Auto-generate slug if not provided
-  if (!this.slug && this.title) {
-    this.slug = this.title
-      .toLowerCase()
-      .replace(/[^a-z0-9\s-]/g, '') // Remove special characters
-      .replace(/\s+/g, '-') // Replace spaces with hyphens
-      .replace(/-+/g, '-') // Replace multiple hyphens with single
-      .trim();
+  // Render the content source whenever it changes
+  if (this.isModified('content') || this.isModified('contentFormat') || this.contentHtml == null) {
+    const rendered = renderContent(this.content, this.contentFormat);
+    this.contentHtml = rendered.html;
+    this.contentText = rendered.text;
+    this.toc = rendered.toc;
   }
-  
-  // Calculate reading time (assuming 200 words per minute)
-  if (this.content) {
-    const wordCount = this.content.split(/\s+/).length;
+
+  // Calculate reading time from the plain text (assuming 200 words per minute)
+  if (this.contentText) {
+    const wordCount = this.contentText.split(/\s+/).filter(Boolean).length;
     this.readingTime = Math.ceil(wordCount / 200);
   }
   
@@ -163,27 +347,91 @@ PostSchema.pre('save', function(next) {
   if (this.status !== 'published') {
     this.publishedAt = null;
   }
+
+  // Only scheduled posts carry a pending publish date
+  if (this.status !== 'scheduled') {
+    this.scheduledFor = null;
+  }
+
+  // Drop the takedown date once a post is no longer live or waiting to go live
+  if (this.status !== 'published' && this.status !== 'scheduled') {
+    this.unpublishAt = null;
+  }
   
   next();
 });
 
+// Announce saved and deleted posts (see utils/events.js), e.g. to keep the search index in sync
+PostSchema.post('save', function(doc) {
+  emitAfterCommit('post:changed', doc._id, doc.$session());
+});
+
+PostSchema.post('findOneAndDelete', function(doc) {
+  if (doc) {
+    emitAfterCommit('post:changed', doc._id, this.getOptions().session);
+  }
+});
+
+PostSchema.post('deleteOne', { document: true, query: false }, function(doc) {
+  emitAfterCommit('post:changed', doc._id, doc.$session());
+});
+
+// ===== METHODS =====
+
+// Rendered HTML, plain text and table of contents. Posts saved before rendering was added
+// (until scripts/render-post-content.js has run) are rendered on the fly.
+PostSchema.methods.renderedContent = function() {
+  if (this.contentHtml != null) {
+    return { html: this.contentHtml, text: this.contentText, toc: this.toc };
+  }
+  return renderContent(this.content, this.contentFormat);
+};
+
 // ===== STATIC METHODS =====
-PostSchema.statics.findPublished = function(limit = 10, skip = 0) {
-  return this.find({ 
+
+// Query conditions for posts that are currently live
+PostSchema.statics.publishedQuery = function(now = new Date()) {
+  return {
     status: 'published',
-    publishedAt: { $lte: new Date() }
-  })
+    publishedAt: { $lte: now },
+    $or: [{ unpublishAt: null }, { unpublishAt: { $gt: now } }]
+  };
+};
+
+PostSchema.statics.findPublished = function(limit = 10, skip = 0) {
+  return this.find(this.publishedQuery())
   .sort({ publishedAt: -1 })
   .limit(limit)
   .skip(skip)
   .populate('categories');
 };
 
+PostSchema.statics.findByAuthor = function(authorId, limit = 10, skip = 0) {
+  return this.find({
+    ...this.publishedQuery(),
+    authors: authorId
+  })
+  .sort({ publishedAt: -1 })
+  .limit(limit)
+  .skip(skip);
+};
+
+// categoryId may also be a list of category IDs, e.g. a category with its subcategories
 PostSchema.statics.findByCategory = function(categoryId, limit = 10, skip = 0) {
   return this.find({ 
-    categories: categoryId,
-    status: 'published',
-    publishedAt: { $lte: new Date() }
+    ...this.publishedQuery(),
+    categories: Array.isArray(categoryId) ? { $in: categoryId } : categoryId
+  })
+  .sort({ publishedAt: -1 })
+  .limit(limit)
+  .skip(skip)
+  .populate('categories');
+};
+
+PostSchema.statics.findByTag = function(tagId, limit = 10, skip = 0) {
+  return this.find({
+    ...this.publishedQuery(),
+    tags: tagId
   })
   .sort({ publishedAt: -1 })
   .limit(limit)
@@ -191,4 +439,6 @@ PostSchema.statics.findByCategory = function(categoryId, limit = 10, skip = 0) {
   .populate('categories');
 };
 
+PostSchema.statics.STATUSES = STATUSES;
+
 module.exports = mongoose.model('Post', PostSchema);
@@ -0,0 +1,112 @@
+// models/PostRevision.js
+// This file defines the PostRevision model, an immutable snapshot of a post taken at each version.
+// Revisions back the revision history, diff and restore features and are pruned by the
+// retention policy in config/revisions.js. The latest revision of a post is never pruned.
+const mongoose = require('mongoose');
+const retention = require('../config/revisions');
+
+// Post fields captured in every snapshot
+const SNAPSHOT_FIELDS = ['title', 'content', 'contentFormat', 'blocks', 'slug', 'status', 'categories', 'metaTitle', 'metaDescription'];
+
+const PostRevisionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Revision must belong to a post']
+  },
+  version: {
+    type: Number,
+    required: [true, 'Revision version is required'],
+    min: 1
+  },
+  title: { type: String },
+  content: { type: String },
+  // Revisions from before formats existed hold HTML
+  contentFormat: { type: String, default: 'html' },
+  blocks: { type: [mongoose.Schema.Types.Mixed], default: undefined },
+  slug: { type: String },
+  status: { type: String },
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  metaTitle: { type: String },
+  metaDescription: { type: String },
+  // User who made the change that produced this version
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Set when this version was produced by restoring an older one
+  restoredFrom: { type: Number, default: null }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// ===== INDEXES =====
+PostRevisionSchema.index({ post: 1, version: -1 }, { unique: true });
+PostRevisionSchema.index({ post: 1, createdAt: -1 });
+
+// ===== STATIC METHODS =====
+
+// Snapshot the current state of a post and apply the retention policy
+PostRevisionSchema.statics.record = async function(post, editorId = null, options = {}) {
+  const snapshot = { post: post._id, version: post.version, editedBy: editorId };
+  for (const field of SNAPSHOT_FIELDS) {
+    snapshot[field] = post[field];
+  }
+  if (options.restoredFrom) {
+    snapshot.restoredFrom = options.restoredFrom;
+  }
+
+  const [revision] = await this.create([snapshot], { session: options.session });
+  await this.prune(post._id, { session: options.session });
+  return revision;
+};
+
+PostRevisionSchema.statics.prune = async function(postId, { session } = {}) {
+  const { maxPerPost, maxAgeDays } = retention;
+  // Unlimited retention: nothing to prune
+  if (maxPerPost <= 0 && maxAgeDays <= 0) return 0;
+
+  const latest = await this.findOne({ post: postId })
+    .sort({ version: -1 })
+    .select('version')
+    .session(session || null);
+  if (!latest) return 0;
+
+  const conditions = [];
+  if (maxPerPost > 0) {
+    conditions.push({ version: { $lte: latest.version - maxPerPost } });
+  }
+  if (maxAgeDays > 0) {
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - maxAgeDays);
+    conditions.push({ createdAt: { $lt: cutoff } });
+  }
+  if (conditions.length === 0) return 0;
+
+  const result = await this.deleteMany({
+    post: postId,
+    version: { $ne: latest.version },
+    $or: conditions
+  }, { session });
+  return result.deletedCount;
+};
+
+// Snapshot fields that differ between the revision at `version` and the current post.
+// When that revision has been pruned every snapshot field is reported.
+PostRevisionSchema.statics.changedFieldsSince = async function(post, version) {
+  if (version === undefined || version === null || version >= post.version) return [];
+
+  const revision = await this.findOne({ post: post._id, version });
+  if (!revision) return [...SNAPSHOT_FIELDS];
+
+  const serialize = (value) => JSON.stringify(value === undefined ? null : value);
+  return SNAPSHOT_FIELDS.filter(field => serialize(revision[field]) !== serialize(post[field]));
+};
+
+PostRevisionSchema.statics.SNAPSHOT_FIELDS = SNAPSHOT_FIELDS;
+
+module.exports = mongoose.model('PostRevision', PostRevisionSchema);
@@ -0,0 +1,49 @@
+// models/PostView.js
+// This file defines the PostView model, which remembers who viewed a post recently.
+// There is one document per post and visitor fingerprint; it only lives for the dedupe
+// window (see config/engagement.js) and MongoDB removes it once it has expired.
+const mongoose = require('mongoose');
+
+const PostViewSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'A view must belong to a post']
+  },
+  // Hashed visitor fingerprint, see services/engagement.js
+  visitor: {
+    type: String,
+    required: [true, 'Visitor fingerprint is required']
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'View expiry is required']
+  }
+});
+
+// ===== INDEXES =====
+PostViewSchema.index({ post: 1, visitor: 1 }, { unique: true });
+PostViewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Let MongoDB remove expired views
+
+// ===== STATIC METHODS =====
+
+// Remember a view until windowMs from now; resolves to false when the visitor already
+// viewed the post within the window. Expired views that MongoDB has not removed yet are
+// taken over, so the window is exact.
+PostViewSchema.statics.register = async function(postId, visitor, windowMs) {
+  const now = new Date();
+  try {
+    await this.updateOne(
+      { post: postId, visitor, expiresAt: { $lte: now } },
+      { $set: { expiresAt: new Date(now.getTime() + windowMs) } },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    // An unexpired view exists, so the upsert collided with it
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('PostView', PostViewSchema);
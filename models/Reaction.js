@@ -0,0 +1,40 @@
+// models/Reaction.js
+// This file defines the Reaction model: a reader's like (or other reaction) on a post.
+// A visitor can leave each reaction type once per post. Post.reactionCounts holds the totals
+// and is kept in step by services/engagement.js.
+const mongoose = require('mongoose');
+const { reactionTypes } = require('../config/engagement');
+
+const ReactionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'A reaction must belong to a post']
+  },
+  type: {
+    type: String,
+    required: [true, 'Reaction type is required'],
+    enum: {
+      values: reactionTypes,
+      message: `Reaction type must be one of: ${reactionTypes.join(', ')}`
+    }
+  },
+  // Hashed visitor fingerprint, see services/engagement.js
+  visitor: {
+    type: String,
+    required: [true, 'Visitor fingerprint is required']
+  },
+  // Signed-in reader, if any
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// ===== INDEXES =====
+ReactionSchema.index({ post: 1, visitor: 1, type: 1 }, { unique: true }); // One reaction of each type per visitor
+
+module.exports = mongoose.model('Reaction', ReactionSchema);
@@ -0,0 +1,93 @@
+// models/Redirect.js
+// This file defines the Redirect model: manual redirect rules managed by admins.
+// The frontend resolves unknown paths through the resolveRedirect query, which counts hits
+// so that unused rules can be spotted and removed.
+const mongoose = require('mongoose');
+
+const STATUS_CODES = [301, 302];
+
+// Paths are stored with a leading slash and without a trailing one
+const normalizePath = (value) => {
+  if (typeof value !== 'string') return value;
+  const path = value.trim();
+  if (/^https?:\/\//.test(path)) return path;
+  const withSlash = path.startsWith('/') ? path : `/${path}`;
+  return withSlash.length > 1 ? withSlash.replace(/\/+$/, '') : withSlash;
+};
+
+const RedirectSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    required: [true, 'Redirect source path is required'],
+    unique: true,
+    set: normalizePath,
+    maxlength: [500, 'Redirect source path cannot exceed 500 characters'],
+    match: [/^\/\S*$/, 'Redirect source must be a path starting with /']
+  },
+  // A path on this site or an absolute URL
+  to: {
+    type: String,
+    required: [true, 'Redirect target is required'],
+    set: normalizePath,
+    maxlength: [2000, 'Redirect target cannot exceed 2000 characters'],
+    match: [/^(\/|https?:\/\/)\S*$/, 'Redirect target must be a path starting with / or an http(s) URL'],
+    validate: {
+      validator: function(value) {
+        return value !== this.from;
+      },
+      message: 'A redirect cannot point to itself'
+    }
+  },
+  statusCode: {
+    type: Number,
+    default: 301,
+    enum: {
+      values: STATUS_CODES,
+      message: `Status code must be one of: ${STATUS_CODES.join(', ')}`
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  hits: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lastHitAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// ===== INDEXES =====
+RedirectSchema.index({ isActive: 1, from: 1 }); // For resolving paths
+
+// ===== STATIC METHODS =====
+
+// Active rule for a path, counting the hit
+RedirectSchema.statics.resolve = function(path) {
+  return this.findOneAndUpdate(
+    { from: normalizePath(path), isActive: true },
+    { $inc: { hits: 1 }, $set: { lastHitAt: new Date() } },
+    { new: true }
+  );
+};
+
+RedirectSchema.statics.STATUS_CODES = STATUS_CODES;
+RedirectSchema.statics.normalizePath = normalizePath;
+
+module.exports = mongoose.model('Redirect', RedirectSchema);
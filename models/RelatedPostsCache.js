@@ -0,0 +1,32 @@
+// models/RelatedPostsCache.js
+// This file defines the RelatedPostsCache model: the computed related posts of one post,
+// best match first. Entries are removed when the taxonomy of the post or of one of its
+// related posts changes (see services/relatedPosts.js) and expire after a day regardless,
+// so newly published posts are picked up.
+const mongoose = require('mongoose');
+
+const RelatedPostsCacheSchema = new mongoose.Schema({
+  // The post the entry belongs to
+  _id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  },
+  related: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  }],
+  computedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Cache expiry is required']
+  }
+});
+
+// ===== INDEXES =====
+RelatedPostsCacheSchema.index({ related: 1 }); // For invalidating entries that list a changed post
+RelatedPostsCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Let MongoDB remove stale entries
+
+module.exports = mongoose.model('RelatedPostsCache', RelatedPostsCacheSchema);
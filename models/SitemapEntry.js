@@ -0,0 +1,34 @@
+// models/SitemapEntry.js
+// This file defines the SitemapEntry model: what the sitemap lists for one published post.
+// Entries are kept up to date as posts are saved and deleted (see services/sitemap.js), so
+// serving a sitemap is a single query. URLs are built when the sitemap is served, from the
+// slug and the patterns in config/site.js.
+const mongoose = require('mongoose');
+
+const SitemapEntrySchema = new mongoose.Schema({
+  // The post the entry belongs to
+  _id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  },
+  slug: {
+    type: String,
+    required: [true, 'Slug is required']
+  },
+  lastmod: {
+    type: Date,
+    required: [true, 'Last modification date is required']
+  },
+  // URLs of the post's images
+  images: [{ type: String }],
+  // When the entry was last written; a rebuild removes entries it did not write
+  syncedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// ===== INDEXES =====
+SitemapEntrySchema.index({ syncedAt: 1 }); // For removing stale entries after a rebuild
+
+module.exports = mongoose.model('SitemapEntry', SitemapEntrySchema);
@@ -4,6 +4,7 @@
 // models/Tag.js
 // models/Tag.js - Enhanced with validation
 const mongoose = require('mongoose');
+const { emitAfterCommit } = require('../utils/events');
 
 const TagSchema = new mongoose.Schema({
   name: { 
@@ -30,6 +31,17 @@ const TagSchema = new mongoose.Schema({
     type: Number,
     default: 0,
     min: [0, 'Usage count cannot be negative']
+  },
+  // Synonyms that resolve to this tag, e.g. "js" and "java-script" for "javascript"
+  aliases: {
+    type: [{
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: [50, 'Tag alias cannot exceed 50 characters'],
+      match: [/^[a-z0-9\s-]+$/, 'Tag alias can only contain letters, numbers, spaces, and hyphens']
+    }],
+    default: []
   }
 }, {
   timestamps: true
@@ -38,17 +50,68 @@ const TagSchema = new mongoose.Schema({
 // ===== INDEXES =====
 TagSchema.index({ name: 1 }, { unique: true });
 TagSchema.index({ usageCount: -1 }); // For popular tags
+TagSchema.index({ aliases: 1 }); // For alias resolution
 TagSchema.index({ name: 'text' }); // For tag search
 
+// ===== MIDDLEWARE =====
+
+// A name or alias may only ever point at one tag
+TagSchema.pre('validate', async function(next) {
+  if (!this.isModified('name') && !this.isModified('aliases')) return next();
+
+  this.aliases = [...new Set(this.aliases.filter(alias => alias && alias !== this.name))];
+  const terms = [this.name, ...this.aliases];
+  const clash = await this.constructor.findOne({
+    _id: { $ne: this._id },
+    $or: [{ name: { $in: terms } }, { aliases: { $in: terms } }]
+  }).session(this.$session() || null);
+
+  if (clash) {
+    const taken = terms.find(term => term === clash.name || clash.aliases.includes(term));
+    this.invalidate(taken === this.name ? 'name' : 'aliases', `"${taken}" is already used by tag "${clash.name}"`, taken);
+  }
+  next();
+});
+
+// Announce renamed tags and changed aliases (see utils/events.js), e.g. to the search index
+TagSchema.pre('save', function(next) {
+  this.$locals.renamed = !this.isNew && (this.isModified('name') || this.isModified('aliases'));
+  next();
+});
+
+TagSchema.post('save', function(doc) {
+  if (doc.$locals.renamed) {
+    emitAfterCommit('tag:changed', doc._id, doc.$session());
+  }
+});
+
 // ===== METHODS =====
-TagSchema.methods.incrementUsage = function() {
-  this.usageCount += 1;
-  return this.save();
+// Usage counts are changed with atomic $inc updates so concurrent post saves cannot lose increments
+TagSchema.methods.incrementUsage = function(options = {}) {
+  return this.constructor.adjustUsage([this._id], 1, options);
 };
 
-TagSchema.methods.decrementUsage = function() {
-  this.usageCount = Math.max(0, this.usageCount - 1);
-  return this.save();
+TagSchema.methods.decrementUsage = function(options = {}) {
+  return this.constructor.adjustUsage([this._id], -1, options);
+};
+
+// ===== STATIC METHODS =====
+
+// Canonical tag for a name or any of its aliases
+TagSchema.statics.findByNameOrAlias = function(name) {
+  const term = String(name).trim().toLowerCase();
+  return this.findOne({ $or: [{ name: term }, { aliases: term }] });
+};
+
+TagSchema.statics.adjustUsage = function(tagIds, delta, options = {}) {
+  if (!tagIds || tagIds.length === 0 || !delta) return Promise.resolve(null);
+
+  const filter = { _id: { $in: tagIds } };
+  // Never drive a count below zero
+  if (delta < 0) {
+    filter.usageCount = { $gte: -delta };
+  }
+  return this.updateMany(filter, { $inc: { usageCount: delta } }, options);
 };
 
 module.exports = mongoose.model('Tag', TagSchema);
\ No newline at end of file
@@ -0,0 +1,104 @@
+// models/User.js
+// This file defines the User model used for authentication and authorization.
+// Passwords are stored as bcrypt hashes and never returned from queries by default.
+// The tokenVersion counter is embedded in issued JWTs so that logout can revoke refresh tokens.
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const ROLES = ['admin', 'editor', 'author', 'contributor'];
+const SALT_ROUNDS = 12;
+
+const UserSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    maxlength: [254, 'Email cannot exceed 254 characters'],
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Email must be a valid email address']
+  },
+  password: {
+    type: String,
+    required: [true, 'Password is required'],
+    minlength: [8, 'Password must be at least 8 characters'],
+    select: false
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  role: {
+    type: String,
+    default: 'contributor',
+    enum: {
+      values: ROLES,
+      message: `Role must be one of: ${ROLES.join(', ')}`
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Incremented on logout/password change to invalidate outstanding refresh tokens
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  lastLoginAt: { type: Date }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.password;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// ===== INDEXES =====
+UserSchema.index({ role: 1, isActive: 1 });
+
+// ===== MIDDLEWARE =====
+
+// Hash the password whenever it is set or changed
+UserSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) return next();
+
+  try {
+    this.password = await bcrypt.hash(this.password, SALT_ROUNDS);
+    if (!this.isNew) {
+      this.tokenVersion += 1;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ===== METHODS =====
+UserSchema.methods.comparePassword = function(candidate) {
+  // Requires the document to have been loaded with .select('+password')
+  return bcrypt.compare(candidate, this.password);
+};
+
+UserSchema.methods.hasRole = function(...roles) {
+  return roles.includes(this.role);
+};
+
+// ===== STATIC METHODS =====
+UserSchema.statics.findByCredentials = async function(email, password) {
+  const user = await this.findOne({ email: String(email).toLowerCase().trim() }).select('+password');
+  if (!user || !user.isActive) return null;
+
+  const matches = await user.comparePassword(password);
+  return matches ? user : null;
+};
+
+UserSchema.statics.ROLES = ROLES;
+
+module.exports = mongoose.model('User', UserSchema);
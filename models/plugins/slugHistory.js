@@ -0,0 +1,58 @@
+// models/plugins/slugHistory.js
+// Mongoose plugin for models addressed by slug (posts and categories).
+// A missing slug is generated from the `source` field and suffixed with -2, -3, ... when it is
+// already taken. When the slug of a saved document changes, the old one is kept in slugHistory
+// so that findBySlug keeps resolving links to it.
+const { slugify, uniqueSlug } = require('../../utils/slug');
+
+module.exports = function slugHistory(schema, { source, fallback }) {
+  schema.add({
+    slugHistory: {
+      type: [{ type: String, trim: true, lowercase: true }],
+      default: []
+    }
+  });
+  schema.index({ slugHistory: 1 }); // For resolving old slugs
+
+  // Remember the stored slug so a change can be recorded
+  schema.post('init', function() {
+    this.$locals.storedSlug = this.slug;
+  });
+  schema.post('save', function() {
+    this.$locals.storedSlug = this.slug;
+  });
+
+  schema.pre('validate', async function(next) {
+    const Model = this.constructor;
+    const session = this.$session();
+
+    if (!this.slug && this[source]) {
+      // Generated slugs also avoid other documents' old slugs, so existing links keep working
+      const isTaken = (slug) => Model.exists({
+        _id: { $ne: this._id },
+        $or: [{ slug }, { slugHistory: slug }]
+      }).session(session);
+      this.slug = await uniqueSlug(slugify(this[source]) || fallback, isTaken);
+    } else if (this.slug && this.isModified('slug')) {
+      const taken = await Model.exists({ _id: { $ne: this._id }, slug: this.slug }).session(session);
+      if (taken) {
+        this.invalidate('slug', `Slug "${this.slug}" is already in use`, this.slug);
+      }
+    }
+
+    const previous = this.$locals.storedSlug;
+    if (!this.isNew && previous && previous !== this.slug) {
+      this.slugHistory = [
+        ...this.slugHistory.filter(slug => slug !== previous && slug !== this.slug),
+        previous
+      ];
+    }
+    next();
+  });
+
+  // Find a document by its current slug, falling back to its previous slugs
+  schema.statics.findBySlug = async function(slug) {
+    const term = String(slug).trim().toLowerCase();
+    return await this.findOne({ slug: term }) || await this.findOne({ slugHistory: term });
+  };
+};
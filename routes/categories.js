@@ -0,0 +1,115 @@
+// routes/categories.js
+// REST API for categories, on the same services as the GraphQL mutations:
+//   GET    /api/v1/categories        ?parentId=<id>|root and ?isActive=true|false narrow the list
+//   GET    /api/v1/categories/:id
+//   POST   /api/v1/categories        (editors)
+//   PATCH  /api/v1/categories/:id    (editors; expectedVersion in the body turns lost updates into 409s)
+//   DELETE /api/v1/categories/:id    (editors; ?policy=reassign|promote|restrict&targetId=...)
+// Lists are paged with first/after or last/before and sorted with ?sort=&direction=, and
+// ?fields=name,slug limits the fields returned.
+const express = require('express');
+const Category = require('../models/Category');
+const { EDITOR_ROLES, authenticate, authorize } = require('../middleware/auth');
+const { handleApiErrors } = require('../middleware/apiErrors');
+const {
+  validateCategory,
+  validateCategoryUpdate,
+  validateCategoryList,
+  validateCategoryQuery,
+  validateCategoryDeletion,
+  validateObjectId,
+  createRateLimit
+} = require('../middleware/validation');
+const { createCategory, updateCategory, deleteCategory } = require('../services/categoryService');
+const { paginate } = require('../utils/pagination');
+const { categoryResource, toResource, toPage } = require('../utils/resources');
+const router = express.Router();
+
+const parseJson = express.json({ limit: '100kb' });
+
+function toCategory(category, fields) {
+  return toResource(category, categoryResource, fields);
+}
+
+function categoryNotFound(res) {
+  return res.status(404).json({
+    error: 'Category not found',
+    code: 'CATEGORY_NOT_FOUND'
+  });
+}
+
+router.get('/categories', validateCategoryList, async (req, res, next) => {
+  const { parentId, isActive, sort, direction, fields, first, after, last, before } = req.query;
+  const filter = {};
+  if (parentId) filter.parent = parentId === 'root' ? null : parentId;
+  if (isActive !== undefined) filter.isActive = isActive;
+
+  try {
+    const connection = await paginate(Category, {
+      filter,
+      sortField: sort || 'sortOrder',
+      direction: direction === 'desc' ? -1 : 1,
+      args: { first, after, last, before }
+    });
+    res.json(await toPage(connection, category => toCategory(category, fields)));
+  } catch (error) {
+    next(error);
+  }
+}, handleApiErrors);
+
+router.get('/categories/:id', validateObjectId('id'), validateCategoryQuery, async (req, res, next) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) return categoryNotFound(res);
+    res.json({ data: toCategory(category, req.query.fields) });
+  } catch (error) {
+    next(error);
+  }
+}, handleApiErrors);
+
+router.post('/categories', createRateLimit, authenticate, authorize(...EDITOR_ROLES), parseJson, validateCategory, async (req, res, next) => {
+  try {
+    const category = await createCategory(req.body);
+    res.status(201)
+      .location(`${req.baseUrl}/categories/${category.id}`)
+      .json({ data: toCategory(category) });
+  } catch (error) {
+    next(error);
+  }
+}, handleApiErrors);
+
+router.patch('/categories/:id', validateObjectId('id'), authenticate, authorize(...EDITOR_ROLES), parseJson, validateCategoryUpdate, async (req, res, next) => {
+  const { expectedVersion, ...fields } = req.body;
+  try {
+    const category = await updateCategory(req.params.id, fields, { expectedVersion });
+    if (!category) return categoryNotFound(res);
+    res.json({ data: toCategory(category) });
+  } catch (error) {
+    next(error);
+  }
+}, handleApiErrors);
+
+// Responds with what happened to the posts and subcategories of the deleted category
+router.delete('/categories/:id', validateObjectId('id'), authenticate, authorize(...EDITOR_ROLES), validateCategoryDeletion, async (req, res, next) => {
+  const { policy, targetId } = req.query;
+  try {
+    if (!(await Category.exists({ _id: req.params.id }))) {
+      return categoryNotFound(res);
+    }
+    const report = await deleteCategory(req.params.id, { policy, targetId });
+    res.json({
+      data: {
+        categoryId: String(report.categoryId),
+        policy: report.policy,
+        targetId: report.target ? report.target.id : null,
+        affectedPostIds: report.affectedPostIds.map(String),
+        affectedPostCount: report.affectedPostCount,
+        movedCategoryIds: report.movedCategories.map(category => category.id)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+}, handleApiErrors);
+
+module.exports = router;
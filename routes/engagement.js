@@ -0,0 +1,50 @@
+// routes/engagement.js
+// View beacon for pages that count views without GraphQL, e.g. with navigator.sendBeacon.
+const express = require('express');
+const mongoose = require('mongoose');
+const { getUserFromRequest } = require('../middleware/auth');
+const { visitorFromRequest, recordView } = require('../services/engagement');
+const router = express.Router();
+
+// Beacons are sent as text/plain or application/json, so read any body as text
+const readBeaconBody = express.text({ type: '*/*', limit: '1kb' });
+
+// The body may be JSON with a visitorId; anything else is ignored
+function parseBeaconBody(body) {
+  if (typeof body !== 'string' || !body.trim()) return {};
+  try {
+    const parsed = JSON.parse(body);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+// POST /api/v1/posts/:id/view
+// Body (optional): { "visitorId": "..." }; visitorId may also be given as a query parameter.
+// Responds 204 whether or not the view was counted.
+router.post('/posts/:id/view', readBeaconBody, async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(404).json({
+      error: 'Post not found',
+      code: 'POST_NOT_FOUND'
+    });
+  }
+
+  try {
+    const { visitorId } = { ...parseBeaconBody(req.body), ...req.query };
+    const user = await getUserFromRequest(req);
+    await recordView(req.params.id, visitorFromRequest(req, { user, visitorId }));
+    res.status(204).end();
+  } catch (error) {
+    if (error.extensions && error.extensions.code === 'NOT_FOUND') {
+      return res.status(404).json({
+        error: error.message,
+        code: 'POST_NOT_FOUND'
+      });
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
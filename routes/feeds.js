@@ -0,0 +1,86 @@
+// routes/feeds.js
+// RSS, Atom and JSON feeds of the latest published posts:
+//   GET /api/v1/feeds/{rss,atom,json}
+//   GET /api/v1/feeds/categories/:slug/{rss,atom,json}   (including subcategories)
+//   GET /api/v1/feeds/tags/:name/{rss,atom,json}
+// ?content=full|excerpt overrides FEED_CONTENT. Responses carry ETag and Last-Modified, and
+// conditional requests for unchanged feeds get 304 Not Modified.
+const express = require('express');
+const { FEED_FORMATS, CONTENT_MODES, loadFeed, renderFeed } = require('../services/feeds');
+const { normalizeTagName } = require('../services/tagService');
+const router = express.Router();
+
+const FORMAT = `:format(${Object.keys(FEED_FORMATS).join('|')})`;
+// Feed readers poll; let caches keep a feed for a few minutes
+const CACHE_CONTROL = 'public, max-age=300';
+
+// URL of this feed, with the scope key replaced by the canonical one when given
+function feedUrl(req, key) {
+  const segments = req.path.split('/');
+  if (key !== undefined) {
+    segments[segments.length - 2] = encodeURIComponent(key);
+  }
+  const query = req.query.content ? `?content=${encodeURIComponent(req.query.content)}` : '';
+  return `${req.protocol}://${req.get('host')}${req.baseUrl}${segments.join('/')}${query}`;
+}
+
+// Serve a feed; scopeFromParams maps the route params to its scope and the requested slug or tag name
+function serveFeed(scopeFromParams) {
+  return async (req, res, next) => {
+    const { content } = req.query;
+    if (content !== undefined && !CONTENT_MODES.includes(content)) {
+      return res.status(400).json({
+        error: `content must be one of: ${CONTENT_MODES.join(', ')}`,
+        code: 'INVALID_FEED_CONTENT'
+      });
+    }
+
+    try {
+      const { scope, requestedKey } = scopeFromParams(req.params);
+      const feed = await loadFeed(scope, { format: req.params.format, content });
+      if (!feed) {
+        return res.status(404).json({
+          error: 'Feed not found',
+          code: 'FEED_NOT_FOUND'
+        });
+      }
+
+      // Old category slugs and tag aliases move to the canonical feed
+      if (feed.key !== null && feed.key !== requestedKey) {
+        return res.redirect(301, feedUrl(req, feed.key));
+      }
+
+      res.set('Content-Type', FEED_FORMATS[feed.format]);
+      res.set('Cache-Control', CACHE_CONTROL);
+      res.set('ETag', feed.etag);
+      if (feed.lastModified) {
+        res.set('Last-Modified', feed.lastModified.toUTCString());
+      }
+      // Checks If-None-Match, or If-Modified-Since without it, against the headers set above
+      if (req.fresh) {
+        return res.status(304).end();
+      }
+
+      res.send(await renderFeed(feed, { selfUrl: feedUrl(req) }));
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+router.get(`/feeds/${FORMAT}`, serveFeed(() => ({
+  scope: { type: 'site' },
+  requestedKey: null
+})));
+
+router.get(`/feeds/categories/:slug/${FORMAT}`, serveFeed(({ slug }) => ({
+  scope: { type: 'category', slug },
+  requestedKey: slug.trim().toLowerCase()
+})));
+
+router.get(`/feeds/tags/:name/${FORMAT}`, serveFeed(({ name }) => ({
+  scope: { type: 'tag', name },
+  requestedKey: normalizeTagName(name)
+})));
+
+module.exports = router;
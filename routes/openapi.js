@@ -0,0 +1,230 @@
+// routes/openapi.js
+// OpenAPI 3 document of the REST API (routes/posts.js, routes/categories.js, routes/tags.js),
+// served at GET /api/v1/openapi.json. Request bodies and query parameters are generated from the
+// Joi schemas the routes validate with, and responses from the resource schemas, so the
+// document changes along with the validation.
+const express = require('express');
+const j2s = require('joi-to-swagger');
+const { version } = require('../package.json');
+const site = require('../config/site');
+const { schemas } = require('../middleware/validation');
+const { postResource, categoryResource, tagResource } = require('../utils/resources');
+const router = express.Router();
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// joi-to-swagger renders conditional requirements (Joi's when) as oneOf entries holding nothing
+// but x-required; OpenAPI cannot express them, so those entries are dropped
+function dropConditions(schema) {
+  if (Array.isArray(schema)) return schema.map(dropConditions);
+  if (!schema || typeof schema !== 'object') return schema;
+  const result = {};
+  for (const [key, value] of Object.entries(schema)) {
+    const isCondition = key === 'oneOf' && value.every(entry => Object.keys(entry).every(name => name === 'x-required'));
+    if (!isCondition) result[key] = dropConditions(value);
+  }
+  return result;
+}
+
+const toSchema = (joiSchema) => dropConditions(j2s(joiSchema).swagger);
+
+// One query parameter per key of a Joi object schema
+function queryParameters(joiSchema) {
+  const { properties, required = [] } = toSchema(joiSchema);
+  return Object.entries(properties).map(([name, schema]) => ({
+    name,
+    in: 'query',
+    required: required.includes(name),
+    schema,
+    ...(schema.type === 'array' ? { style: 'form', explode: true } : {})
+  }));
+}
+
+const idParameter = { name: 'id', in: 'path', required: true, schema: { type: 'string' } };
+
+const jsonBody = (schemaName) => ({
+  required: true,
+  content: { 'application/json': { schema: ref(schemaName) } }
+});
+
+const jsonResponse = (description, schema) => ({
+  description,
+  content: { 'application/json': { schema } }
+});
+
+const errorResponse = (description) => jsonResponse(description, ref('Error'));
+
+// Responses shared by the operations of every resource
+const errors = {
+  400: errorResponse('Invalid input'),
+  401: errorResponse('Authentication required'),
+  403: errorResponse('Not allowed'),
+  404: errorResponse('Not found'),
+  409: errorResponse('Conflicting version or duplicate value')
+};
+const pick = (codes) => Object.fromEntries(codes.map(code => [code, errors[code]]));
+
+// The five CRUD operations of a resource; overrides replace or add operation properties
+function resourcePaths({ path, name, tag, listSchema, querySchema, createSchema, updateSchema, overrides = {} }) {
+  const operation = (key, definition) => ({ tags: [tag], ...definition, ...overrides[key] });
+  const secured = { security: [{ bearerAuth: [] }] };
+  const single = jsonResponse(name, { type: 'object', properties: { data: ref(name) } });
+
+  return {
+    [path]: {
+      get: operation('list', {
+        operationId: `list${tag}`,
+        parameters: queryParameters(listSchema),
+        responses: {
+          200: jsonResponse(`A page of ${tag.toLowerCase()}`, {
+            type: 'object',
+            properties: {
+              data: { type: 'array', items: ref(name) },
+              pageInfo: ref('PageInfo'),
+              totalCount: { type: 'integer' }
+            }
+          }),
+          ...pick([400])
+        }
+      }),
+      post: operation('create', {
+        operationId: `create${name}`,
+        ...secured,
+        requestBody: jsonBody(createSchema),
+        responses: { 201: single, ...pick([400, 401, 403, 409]) }
+      })
+    },
+    [`${path}/{id}`]: {
+      parameters: [idParameter],
+      get: operation('get', {
+        operationId: `get${name}`,
+        parameters: queryParameters(querySchema),
+        responses: { 200: single, ...pick([400, 404]) }
+      }),
+      patch: operation('update', {
+        operationId: `update${name}`,
+        ...secured,
+        requestBody: jsonBody(updateSchema),
+        responses: { 200: single, ...pick([400, 401, 403, 404, 409]) }
+      }),
+      delete: operation('delete', {
+        operationId: `delete${name}`,
+        ...secured,
+        responses: { 204: { description: `${name} deleted` }, ...pick([400, 401, 403, 404]) }
+      })
+    }
+  };
+}
+
+function buildDocument() {
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: `${site.title} REST API`,
+      version,
+      description: 'Posts, categories and tags. The GraphQL API at /graphql/v1 covers everything else.'
+    },
+    servers: [{ url: '/api/v1' }],
+    tags: [{ name: 'Posts' }, { name: 'Categories' }, { name: 'Tags' }],
+    paths: {
+      ...resourcePaths({
+        path: '/posts',
+        name: 'Post',
+        tag: 'Posts',
+        listSchema: schemas.postListSchema,
+        querySchema: schemas.resourceQuerySchema(postResource),
+        createSchema: 'PostInput',
+        updateSchema: 'PostUpdate',
+        overrides: {
+          list: { description: 'Only editors see posts that are not live.' },
+          get: { description: 'Posts that are not live are only visible to those who may edit them.' }
+        }
+      }),
+      ...resourcePaths({
+        path: '/categories',
+        name: 'Category',
+        tag: 'Categories',
+        listSchema: schemas.categoryListSchema,
+        querySchema: schemas.resourceQuerySchema(categoryResource),
+        createSchema: 'CategoryInput',
+        updateSchema: 'CategoryUpdate',
+        overrides: {
+          delete: {
+            description: 'Posts and subcategories are handled according to the policy.',
+            parameters: queryParameters(schemas.categoryDeletionSchema),
+            responses: {
+              200: jsonResponse('Category deleted', {
+                type: 'object',
+                properties: { data: ref('CategoryDeletionReport') }
+              }),
+              ...pick([400, 401, 403, 404])
+            }
+          }
+        }
+      }),
+      ...resourcePaths({
+        path: '/tags',
+        name: 'Tag',
+        tag: 'Tags',
+        listSchema: schemas.tagListSchema,
+        querySchema: schemas.resourceQuerySchema(tagResource),
+        createSchema: 'TagInput',
+        updateSchema: 'TagUpdate'
+      })
+    },
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      },
+      schemas: {
+        Post: toSchema(postResource),
+        PostInput: toSchema(schemas.postSchema),
+        PostUpdate: toSchema(schemas.postUpdateSchema),
+        Category: toSchema(categoryResource),
+        CategoryInput: toSchema(schemas.categorySchema),
+        CategoryUpdate: toSchema(schemas.categoryUpdateSchema),
+        CategoryDeletionReport: {
+          type: 'object',
+          properties: {
+            categoryId: { type: 'string' },
+            policy: { type: 'string', enum: ['reassign', 'promote', 'restrict'] },
+            targetId: { type: 'string', nullable: true },
+            affectedPostIds: { type: 'array', items: { type: 'string' } },
+            affectedPostCount: { type: 'integer' },
+            movedCategoryIds: { type: 'array', items: { type: 'string' } }
+          }
+        },
+        Tag: toSchema(tagResource),
+        TagInput: toSchema(schemas.tagSchema),
+        TagUpdate: toSchema(schemas.tagUpdateSchema),
+        PageInfo: {
+          type: 'object',
+          properties: {
+            hasNextPage: { type: 'boolean' },
+            hasPreviousPage: { type: 'boolean' },
+            startCursor: { type: 'string', nullable: true },
+            endCursor: { type: 'string', nullable: true }
+          }
+        },
+        Error: {
+          type: 'object',
+          required: ['error', 'code'],
+          properties: {
+            error: { type: 'string' },
+            code: { type: 'string' },
+            details: {}
+          }
+        }
+      }
+    }
+  };
+}
+
+// Built once: the schemas do not change while the server runs
+const document = buildDocument();
+
+router.get('/openapi.json', (req, res) => {
+  res.json(document);
+});
+
+module.exports = router;
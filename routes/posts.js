@@ -0,0 +1,118 @@
+// routes/posts.js
+// REST API for posts, on the same services as the GraphQL mutations:
+//   GET    /api/v1/posts        filtered by the PostFilter fields, e.g. ?tags=node&categoryId=...
+//   GET    /api/v1/posts/:id
+//   POST   /api/v1/posts
+//   PATCH  /api/v1/posts/:id    (expectedVersion in the body turns lost updates into 409s)
+//   DELETE /api/v1/posts/:id
+// Lists are paged with first/after or last/before and sorted with ?sort=&direction=, and
+// ?fields=title,slug limits the fields returned. Lists only hold live posts except for
+// editors; a single post that is not live is visible to those who may edit it.
+// Each route ends in handleApiErrors: the router shares /api/v1 with other routers, whose
+// errors must not pass through it.
+const express = require('express');
+const Post = require('../models/Post');
+const { EDITOR_ROLES, authenticate, getUserFromRequest, canEditPost } = require('../middleware/auth');
+const { handleApiErrors } = require('../middleware/apiErrors');
+const {
+  validatePost,
+  validatePostUpdate,
+  validatePostList,
+  validatePostQuery,
+  validateObjectId,
+  createRateLimit
+} = require('../middleware/validation');
+const { createPost, updatePost, deletePost } = require('../services/postService');
+const { buildPostFilter } = require('../services/postSearch');
+const { paginate, TEXT_SCORE_FIELD } = require('../utils/pagination');
+const { postResource, toResource, toPage } = require('../utils/resources');
+const router = express.Router();
+
+const parseJson = express.json({ limit: '1mb' });
+
+const getters = {
+  contentHtml: (post) => post.renderedContent().html
+};
+
+function toPost(post, fields) {
+  return toResource(post, postResource, fields, getters);
+}
+
+function postNotFound(res) {
+  return res.status(404).json({
+    error: 'Post not found',
+    code: 'POST_NOT_FOUND'
+  });
+}
+
+router.get('/posts', validatePostList, async (req, res, next) => {
+  const { sort, direction, fields, first, after, last, before, ...filter } = req.query;
+  try {
+    const user = await getUserFromRequest(req);
+    const isEditor = Boolean(user && EDITOR_ROLES.includes(user.role));
+    const { filter: match, hasText } = await buildPostFilter(filter, { publishedOnly: !isEditor });
+    if (sort === 'relevance' && !hasText) {
+      return res.status(400).json({
+        error: 'sort=relevance is only available together with searchText',
+        code: 'INVALID_SORT'
+      });
+    }
+
+    const connection = await paginate(Post, {
+      filter: match,
+      sortField: sort === 'relevance' ? TEXT_SCORE_FIELD : sort || 'publishedAt',
+      direction: direction === 'asc' ? 1 : -1,
+      args: { first, after, last, before }
+    });
+    res.json(await toPage(connection, post => toPost(post, fields)));
+  } catch (error) {
+    next(error);
+  }
+}, handleApiErrors);
+
+router.get('/posts/:id', validateObjectId('id'), validatePostQuery, async (req, res, next) => {
+  try {
+    const post = await Post.findById(req.params.id);
+    if (!post || (!post.isPublished && !canEditPost(await getUserFromRequest(req), post))) {
+      return postNotFound(res);
+    }
+    res.json({ data: toPost(post, req.query.fields) });
+  } catch (error) {
+    next(error);
+  }
+}, handleApiErrors);
+
+router.post('/posts', createRateLimit, authenticate, parseJson, validatePost, async (req, res, next) => {
+  try {
+    const post = await createPost(req.body, req.user);
+    res.status(201)
+      .location(`${req.baseUrl}/posts/${post.id}`)
+      .json({ data: toPost(post) });
+  } catch (error) {
+    next(error);
+  }
+}, handleApiErrors);
+
+router.patch('/posts/:id', validateObjectId('id'), authenticate, parseJson, validatePostUpdate, async (req, res, next) => {
+  const { expectedVersion, ...fields } = req.body;
+  try {
+    const post = await updatePost(req.params.id, fields, req.user, { expectedVersion });
+    if (!post) return postNotFound(res);
+    res.json({ data: toPost(post) });
+  } catch (error) {
+    next(error);
+  }
+}, handleApiErrors);
+
+router.delete('/posts/:id', validateObjectId('id'), authenticate, async (req, res, next) => {
+  try {
+    if (!(await deletePost(req.params.id, req.user))) {
+      return postNotFound(res);
+    }
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+}, handleApiErrors);
+
+module.exports = router;
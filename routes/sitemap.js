@@ -0,0 +1,41 @@
+// routes/sitemap.js
+// XML sitemaps, served from the root so the frontend can proxy them as they are:
+//   GET /sitemap.xml                   sitemap index
+//   GET /sitemap-:name-:page.xml       e.g. /sitemap-posts-1.xml (posts, categories, tags, authors)
+const express = require('express');
+const { renderSitemapIndex, renderSitemap } = require('../services/sitemap');
+const router = express.Router();
+
+const CONTENT_TYPE = 'application/xml; charset=utf-8';
+// Search engines fetch sitemaps rarely; let caches keep them for an hour
+const CACHE_CONTROL = 'public, max-age=3600';
+
+router.get('/sitemap.xml', async (req, res, next) => {
+  try {
+    const xml = await renderSitemapIndex();
+    res.set('Content-Type', CONTENT_TYPE);
+    res.set('Cache-Control', CACHE_CONTROL);
+    res.send(xml);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/sitemap-:name([a-z]+)-:page(\\d+).xml', async (req, res, next) => {
+  try {
+    const xml = await renderSitemap(req.params.name, parseInt(req.params.page, 10));
+    if (!xml) {
+      return res.status(404).json({
+        error: 'Sitemap not found',
+        code: 'SITEMAP_NOT_FOUND'
+      });
+    }
+    res.set('Content-Type', CONTENT_TYPE);
+    res.set('Cache-Control', CACHE_CONTROL);
+    res.send(xml);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
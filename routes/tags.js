@@ -0,0 +1,99 @@
+// routes/tags.js
+// REST API for tags, on the same services as the GraphQL mutations:
+//   GET    /api/v1/tags        ?search= matches the start of names and aliases
+//   GET    /api/v1/tags/:id
+//   POST   /api/v1/tags        (editors)
+//   PATCH  /api/v1/tags/:id    (editors; renames keep the old name as an alias unless
+//                               keepOldNameAsAlias is false)
+//   DELETE /api/v1/tags/:id    (editors; the tag is removed from every post)
+// Lists are paged with first/after or last/before and sorted with ?sort=&direction=, and
+// ?fields=name,usageCount limits the fields returned.
+const express = require('express');
+const Tag = require('../models/Tag');
+const { EDITOR_ROLES, authenticate, authorize } = require('../middleware/auth');
+const { handleApiErrors } = require('../middleware/apiErrors');
+const {
+  validateTag,
+  validateTagUpdate,
+  validateTagList,
+  validateTagQuery,
+  validateObjectId,
+  createRateLimit
+} = require('../middleware/validation');
+const { tagSearchFilter, createTag, updateTag, deleteTag } = require('../services/tagService');
+const { paginate } = require('../utils/pagination');
+const { tagResource, toResource, toPage } = require('../utils/resources');
+const router = express.Router();
+
+const parseJson = express.json({ limit: '100kb' });
+
+function toTag(tag, fields) {
+  return toResource(tag, tagResource, fields);
+}
+
+function tagNotFound(res) {
+  return res.status(404).json({
+    error: 'Tag not found',
+    code: 'TAG_NOT_FOUND'
+  });
+}
+
+router.get('/tags', validateTagList, async (req, res, next) => {
+  const { search, sort, direction, fields, first, after, last, before } = req.query;
+  try {
+    const connection = await paginate(Tag, {
+      filter: tagSearchFilter(search),
+      sortField: sort || 'name',
+      direction: direction === 'desc' ? -1 : 1,
+      args: { first, after, last, before }
+    });
+    res.json(await toPage(connection, tag => toTag(tag, fields)));
+  } catch (error) {
+    next(error);
+  }
+}, handleApiErrors);
+
+router.get('/tags/:id', validateObjectId('id'), validateTagQuery, async (req, res, next) => {
+  try {
+    const tag = await Tag.findById(req.params.id);
+    if (!tag) return tagNotFound(res);
+    res.json({ data: toTag(tag, req.query.fields) });
+  } catch (error) {
+    next(error);
+  }
+}, handleApiErrors);
+
+router.post('/tags', createRateLimit, authenticate, authorize(...EDITOR_ROLES), parseJson, validateTag, async (req, res, next) => {
+  try {
+    const tag = await createTag(req.body);
+    res.status(201)
+      .location(`${req.baseUrl}/tags/${tag.id}`)
+      .json({ data: toTag(tag) });
+  } catch (error) {
+    next(error);
+  }
+}, handleApiErrors);
+
+router.patch('/tags/:id', validateObjectId('id'), authenticate, authorize(...EDITOR_ROLES), parseJson, validateTagUpdate, async (req, res, next) => {
+  const { keepOldNameAsAlias, ...fields } = req.body;
+  try {
+    const tag = await updateTag(req.params.id, fields, { keepOldNameAsAlias });
+    if (!tag) return tagNotFound(res);
+    res.json({ data: toTag(tag) });
+  } catch (error) {
+    next(error);
+  }
+}, handleApiErrors);
+
+router.delete('/tags/:id', validateObjectId('id'), authenticate, authorize(...EDITOR_ROLES), async (req, res, next) => {
+  try {
+    if (!(await deleteTag(req.params.id))) {
+      return tagNotFound(res);
+    }
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+}, handleApiErrors);
+
+module.exports = router;
@@ -7,6 +7,8 @@ const path = require('path');
 const s3 = require('../config/awsConfig');
 const logger = require('../config/logger');
 const Image = require('../models/Image');
+const Post = require('../models/Post');
+const { authenticate, authorize, canEditPost, EDITOR_ROLES } = require('../middleware/auth');
 const router = express.Router();
 
 // Enhanced multer configuration
@@ -36,6 +38,33 @@ const upload = multer({
   }
 });
 
+// Roles allowed to upload images
+const UPLOAD_ROLES = ['admin', 'editor', 'author', 'contributor'];
+
+// Ensure the user may attach images to the target post (runs after multer has parsed the body)
+async function authorizePostAttachment(req, res, next) {
+  if (!req.body.postId) return next();
+
+  try {
+    const post = await Post.findById(req.body.postId);
+    if (!post) {
+      return res.status(404).json({
+        error: 'Post not found',
+        code: 'POST_NOT_FOUND'
+      });
+    }
+    if (!canEditPost(req.user, post)) {
+      return res.status(403).json({
+        error: 'You can only attach images to your own posts',
+        code: 'FORBIDDEN'
+      });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
 // Image processing function
 async function processImage(buffer, mimetype, options = {}) {
   // Skip processing for GIFs and SVGs to preserve animations/vector format
@@ -141,7 +170,7 @@ async function uploadToS3(buffer, filename, contentType, retries = 3) {
 }
 
 // POST /api/v1/upload - Single file upload (backward compatible)
-router.post('/upload', upload.single('file'), async (req, res) => {
+router.post('/upload', authenticate, authorize(...UPLOAD_ROLES), upload.single('file'), authorizePostAttachment, async (req, res) => {
   try {
     const file = req.file;
     if (!file) {
@@ -190,7 +219,8 @@ router.post('/upload', upload.single('file'), async (req, res) => {
         altText: req.body.altText || '',
         thumbnailUrl: urls.thumbnail,
         mediumUrl: urls.medium,
-        uploadedAt: new Date()
+        uploadedAt: new Date(),
+        uploadedBy: req.user.id
       });
       await imageRecord.save();
     }
@@ -227,7 +257,7 @@ router.post('/upload', upload.single('file'), async (req, res) => {
 });
 
 // POST /api/v1/upload/multiple - Multiple file upload
-router.post('/upload/multiple', upload.array('files', 5), async (req, res) => {
+router.post('/upload/multiple', authenticate, authorize(...UPLOAD_ROLES), upload.array('files', 5), authorizePostAttachment, async (req, res) => {
   try {
     const files = req.files;
     if (!files || files.length === 0) {
@@ -280,7 +310,8 @@ router.post('/upload/multiple', upload.array('files', 5), async (req, res) => {
             altText: req.body.altText || '',
             thumbnailUrl: urls.thumbnail,
             mediumUrl: urls.medium,
-            uploadedAt: new Date()
+            uploadedAt: new Date(),
+            uploadedBy: req.user.id
           });
           await imageRecord.save();
         }
@@ -335,7 +366,7 @@ router.get('/progress/:uploadId', (req, res) => {
 });
 
 // DELETE /api/v1/upload/:imageId - Delete uploaded image
-router.delete('/:imageId', async (req, res) => {
+router.delete('/:imageId', authenticate, authorize(...UPLOAD_ROLES), async (req, res) => {
   try {
     const imageRecord = await Image.findById(req.params.imageId);
     if (!imageRecord) {
@@ -345,6 +376,14 @@ router.delete('/:imageId', async (req, res) => {
       });
     }
 
+    // Only editors/admins may delete images uploaded by someone else
+    if (!EDITOR_ROLES.includes(req.user.role) && imageRecord.uploadedBy !== req.user.id) {
+      return res.status(403).json({
+        error: 'You can only delete images you uploaded',
+        code: 'FORBIDDEN'
+      });
+    }
+
     // Extract S3 key from URL
     const urlParts = imageRecord.url.split('/');
     const s3Key = urlParts.slice(-2).join('/'); // images/filename
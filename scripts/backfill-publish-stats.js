@@ -0,0 +1,48 @@
+// scripts/backfill-publish-stats.js
+// Fills the daily publish counts (DailyStat.publishes) from the publication dates of existing posts,
+// so publishing cadence covers the time before daily stats were recorded. Views and reactions
+// have no history to rebuild from and start counting when the stats are deployed.
+// Counts are set rather than added, so it is safe to run more than once.
+// Usage: node scripts/backfill-publish-stats.js [--dry-run]
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const DailyStat = require('../models/DailyStat');
+const Post = require('../models/Post');
+const { statUpdates } = require('../services/analytics');
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  await connectDB();
+
+  // Archived posts with a publication date were live once too
+  const posts = await Post.find({ status: { $in: ['published', 'archived'] }, publishedAt: { $ne: null } })
+    .select('categories authors publishedAt')
+    .lean();
+
+  // Sum the publishes of every day and target the same way live recording does
+  const totals = new Map();
+  for (const post of posts) {
+    for (const { updateOne: { filter } } of statUpdates(post, {}, post.publishedAt)) {
+      const key = `${filter.scope}:${filter.ref}:${filter.date.getTime()}`;
+      const entry = totals.get(key) || { filter, publishes: 0 };
+      entry.publishes++;
+      totals.set(key, entry);
+    }
+  }
+
+  const updates = [...totals.values()].map(({ filter, publishes }) => ({
+    updateOne: { filter, update: { $set: { publishes } }, upsert: true }
+  }));
+  if (!dryRun && updates.length > 0) {
+    await DailyStat.bulkWrite(updates, { ordered: false });
+  }
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Set ${updates.length} daily publish counts from ${posts.length} posts`);
+  await mongoose.disconnect();
+}
+
+main().catch(async (error) => {
+  console.error(error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
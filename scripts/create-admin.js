@@ -0,0 +1,33 @@
+// scripts/create-admin.js
+// Creates the first admin account so the protected mutations can be used.
+// Usage: node scripts/create-admin.js <email> <password> [name]
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const User = require('../models/User');
+
+async function main() {
+  const [email, password, name = 'Administrator'] = process.argv.slice(2);
+  if (!email || !password) {
+    console.error('Usage: node scripts/create-admin.js <email> <password> [name]');
+    process.exit(1);
+  }
+
+  await connectDB();
+
+  const existing = await User.findOne({ email: email.toLowerCase() });
+  if (existing) {
+    console.error(`A user with email ${email} already exists`);
+    process.exitCode = 1;
+  } else {
+    const user = await new User({ email, password, name, role: 'admin' }).save();
+    console.log(`Admin user created: ${user.email} (${user.id})`);
+  }
+
+  await mongoose.disconnect();
+}
+
+main().catch(async (error) => {
+  console.error(error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,66 @@
+// scripts/migrate-authors.js
+// One-off migration that turns the legacy free-text Post.author strings into Author profiles.
+// Each distinct name becomes (or reuses) an Author, the post's authors list is set to that profile
+// and the old string field is removed. Safe to run more than once.
+// Usage: node scripts/migrate-authors.js [--dry-run]
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Post = require('../models/Post');
+const Author = require('../models/Author');
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  await connectDB();
+
+  // The legacy field is no longer part of the schema, so read it from the raw collection
+  const cursor = Post.collection.find(
+    { author: { $exists: true } },
+    { projection: { author: 1, authors: 1 } }
+  );
+
+  const profiles = new Map();
+  let migrated = 0;
+  let cleared = 0;
+
+  for await (const post of cursor) {
+    const name = typeof post.author === 'string' ? post.author.trim() : '';
+
+    if (!name) {
+      if (!dryRun) {
+        await Post.collection.updateOne({ _id: post._id }, { $unset: { author: '' } });
+      }
+      cleared++;
+      continue;
+    }
+
+    let authorId = profiles.get(name);
+    if (!authorId) {
+      if (dryRun) {
+        const existing = await Author.findOne({ displayName: name });
+        authorId = existing ? existing._id : new mongoose.Types.ObjectId();
+      } else {
+        authorId = (await Author.findOrCreateByName(name))._id;
+      }
+      profiles.set(name, authorId);
+    }
+
+    if (!dryRun) {
+      // Keep any authors already assigned and put the migrated byline first
+      const existing = (post.authors || []).filter(id => !id.equals(authorId));
+      await Post.collection.updateOne(
+        { _id: post._id },
+        { $set: { authors: [authorId, ...existing] }, $unset: { author: '' } }
+      );
+    }
+    migrated++;
+  }
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Migrated ${migrated} posts to ${profiles.size} author profiles; cleared ${cleared} empty author fields`);
+  await mongoose.disconnect();
+}
+
+main().catch(async (error) => {
+  console.error(error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
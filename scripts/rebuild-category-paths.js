@@ -0,0 +1,62 @@
+// scripts/rebuild-category-paths.js
+// Recomputes the materialized ancestors path of every category from the parent links.
+// Run once after upgrading, or whenever the paths are suspected to be out of step.
+// Categories caught in a parent cycle are reported and left untouched. Safe to run more than once.
+// Usage: node scripts/rebuild-category-paths.js [--dry-run]
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Category = require('../models/Category');
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  await connectDB();
+
+  const categories = await Category.find().select('parent ancestors name').lean();
+  const byId = new Map(categories.map(category => [category._id.toString(), category]));
+
+  const updates = [];
+  const cyclic = [];
+  for (const category of categories) {
+    // Walk up the parent links; a repeated ID means a cycle
+    const ancestors = [];
+    const seen = new Set([category._id.toString()]);
+    let parent = category.parent ? byId.get(category.parent.toString()) : null;
+    let isCyclic = false;
+
+    while (parent) {
+      if (seen.has(parent._id.toString())) {
+        isCyclic = true;
+        break;
+      }
+      seen.add(parent._id.toString());
+      ancestors.unshift(parent._id);
+      parent = parent.parent ? byId.get(parent.parent.toString()) : null;
+    }
+
+    if (isCyclic) {
+      cyclic.push(category.name);
+      continue;
+    }
+
+    const current = (category.ancestors || []).map(id => id.toString()).join(',');
+    if (current !== ancestors.map(id => id.toString()).join(',')) {
+      updates.push({ updateOne: { filter: { _id: category._id }, update: { $set: { ancestors } } } });
+    }
+  }
+
+  if (!dryRun && updates.length > 0) {
+    await Category.bulkWrite(updates);
+  }
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Updated paths of ${updates.length} of ${categories.length} categories`);
+  if (cyclic.length > 0) {
+    console.warn(`Skipped categories in a parent cycle: ${cyclic.join(', ')}`);
+  }
+  await mongoose.disconnect();
+}
+
+main().catch(async (error) => {
+  console.error(error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,21 @@
+// scripts/rebuild-sitemap.js
+// Rewrites the sitemap entries of every published post and removes entries of posts that are
+// no longer live. The server keeps the entries current as posts change; run this after bulk
+// changes made outside the API (e.g. imports or direct database edits).
+// Usage: node scripts/rebuild-sitemap.js
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const { rebuildSitemap } = require('../services/sitemap');
+
+async function main() {
+  await connectDB();
+  const written = await rebuildSitemap();
+  console.log(`Wrote sitemap entries for ${written} published posts`);
+  await mongoose.disconnect();
+}
+
+main().catch(async (error) => {
+  console.error(error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
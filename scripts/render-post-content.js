@@ -0,0 +1,51 @@
+// scripts/render-post-content.js
+// One-off backfill of the rendered content (contentHtml, contentText, toc) of posts saved before
+// rendering was added, so excerpts, feeds, search and SEO read stored plain text instead of
+// rendering on every request. updatedAt is left alone: the posts were not edited.
+// Only posts without contentHtml are touched, so it is safe to run more than once.
+// Usage: node scripts/render-post-content.js [--dry-run]
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Post = require('../models/Post');
+const { renderContent } = require('../utils/contentRenderer');
+
+const BATCH_SIZE = 200;
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  await connectDB();
+
+  const cursor = Post.find({ contentHtml: null }).select('content contentFormat').lean().cursor();
+
+  let rendered = 0;
+  let updates = [];
+  const write = async () => {
+    if (!dryRun && updates.length > 0) {
+      await Post.bulkWrite(updates, { ordered: false, timestamps: false });
+    }
+    updates = [];
+  };
+
+  for await (const post of cursor) {
+    const { html, text, toc } = renderContent(post.content, post.contentFormat);
+    const wordCount = text.split(/\s+/).filter(Boolean).length;
+    updates.push({
+      updateOne: {
+        filter: { _id: post._id },
+        update: { $set: { contentHtml: html, contentText: text, toc, readingTime: Math.ceil(wordCount / 200) } }
+      }
+    });
+    rendered++;
+    if (updates.length === BATCH_SIZE) await write();
+  }
+  await write();
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Rendered the content of ${rendered} posts`);
+  await mongoose.disconnect();
+}
+
+main().catch(async (error) => {
+  console.error(error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -4,21 +4,62 @@ const cors = require('cors');
 const { ApolloServer } = require('apollo-server-express');
 const { typeDefs } = require('./graphql/schema');
 const { resolvers } = require('./graphql/resolvers');
+const { formatError } = require('./graphql/formatError');
 const connectDB = require('./config/db');
 const logger = require('./config/logger');
+const { getUserFromRequest } = require('./middleware/auth');
+const { startScheduler } = require('./services/scheduler');
+const { startViewFlusher, stopViewFlusher } = require('./services/engagement');
+const { startSearchIndex } = require('./services/search');
+const { startSitemap } = require('./services/sitemap');
 require('dotenv').config();
 
 const app = express();
 
+// Behind a reverse proxy req.ip is the proxy's address unless the proxy is trusted, and view
+// dedupe and rate limits would treat every guest as one visitor. TRUST_PROXY takes the values
+// of Express's 'trust proxy' setting: true, a hop count, or a list of addresses/subnets.
+function parseTrustProxy(value) {
+  if (value === undefined || value === '' || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return value;
+}
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // Enable CORS if needed
 app.use(cors());
 
 // Connect to MongoDB Atlas
 connectDB();
 
+// Publish/unpublish scheduled posts in the background
+if (process.env.SCHEDULER_ENABLED !== 'false') {
+  startScheduler();
+}
+
+// Write buffered view counts to the posts
+startViewFlusher();
+
+// Build the search index and keep it in sync with post changes
+startSearchIndex();
+
+// Keep the sitemap entries in sync with post changes
+startSitemap().catch(error => logger.error('Starting the sitemap failed:', error));
+
 // Initialize Apollo Server for GraphQL
 async function startApolloServer() {
-  const server = new ApolloServer({ typeDefs, resolvers });
+  const server = new ApolloServer({
+    typeDefs,
+    resolvers,
+    // Typed errors for invalid input and database errors; internal errors are masked in production
+    formatError,
+    // Attach the authenticated user (or null) to every request
+    context: async ({ req }) => ({
+      req,
+      user: await getUserFromRequest(req)
+    })
+  });
   await server.start();
   // Version the GraphQL endpoint to /graphql/v1
   server.applyMiddleware({ app, path: '/graphql/v1' });
@@ -29,6 +70,28 @@ startApolloServer();
 const uploadRouter = require('./routes/upload');
 app.use('/api/v1', uploadRouter);
 
+// Mount the view beacon
+const engagementRouter = require('./routes/engagement');
+app.use('/api/v1', engagementRouter);
+
+// Mount the RSS, Atom and JSON feeds
+const feedsRouter = require('./routes/feeds');
+app.use('/api/v1', feedsRouter);
+
+// Mount the REST API for posts, categories and tags, and its OpenAPI document
+const postsRouter = require('./routes/posts');
+const categoriesRouter = require('./routes/categories');
+const tagsRouter = require('./routes/tags');
+const openApiRouter = require('./routes/openapi');
+app.use('/api/v1', postsRouter);
+app.use('/api/v1', categoriesRouter);
+app.use('/api/v1', tagsRouter);
+app.use('/api/v1', openApiRouter);
+
+// Mount the sitemaps at the root, where search engines look for them
+const sitemapRouter = require('./routes/sitemap');
+app.use('/', sitemapRouter);
+
 // Example route to test logging
 app.get('/test-logging', (req, res) => {
   logger.info('Test logging: /test-logging endpoint hit');
@@ -53,3 +116,16 @@ app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
   console.log(`GraphQL endpoint: http://localhost:${PORT}/graphql/v1`);
 });
+
+// Write the buffered view counts before exiting, so a restart does not lose them
+async function shutdown(signal) {
+  logger.info(`${signal} received, shutting down`);
+  try {
+    await stopViewFlusher();
+  } catch (error) {
+    logger.error('Flushing view counts on shutdown failed:', error);
+  }
+  process.exit(0);
+}
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+process.once('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,322 @@
+// services/analytics.js
+// Daily engagement statistics and the dashboard queries built on them.
+// Views, reactions and publishes are added to DailyStat documents for the post, each of its
+// categories and authors, and the whole site as they happen, so every query here reads a
+// handful of pre-aggregated documents instead of scanning posts.
+const mongoose = require('mongoose');
+const { UserInputError } = require('apollo-server-express');
+const Category = require('../models/Category');
+const DailyStat = require('../models/DailyStat');
+const Post = require('../models/Post');
+const { subtreeIds } = require('./categoryService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TIME_BUCKETS = ['day', 'week', 'month'];
+const CATEGORY_METRICS = ['views', 'reactions', 'publishes'];
+// A reaction says more about a post than a view does
+const REACTION_WEIGHT = 3;
+// Longest window any query may cover
+const MAX_DAYS = 366 * 2;
+
+// ===== DATES =====
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// Start of the day, week (Monday) or month containing date, in UTC like $dateTrunc
+const bucketStart = (date, bucket) => {
+  const day = startOfDay(date);
+  if (bucket === 'week') {
+    return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+  }
+  if (bucket === 'month') {
+    return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), 1));
+  }
+  return day;
+};
+
+const nextBucket = (start, bucket) => {
+  if (bucket === 'week') return new Date(start.getTime() + 7 * DAY_MS);
+  if (bucket === 'month') return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+  return new Date(start.getTime() + DAY_MS);
+};
+
+// First day of a window of `days` days ending today
+const windowStart = (days) => new Date(startOfDay(new Date()).getTime() - (days - 1) * DAY_MS);
+
+// Values grouped by bucket (periodStart -> value) as one point per bucket from..to, gaps filled by `empty`
+const fillBuckets = (values, from, to, bucket, empty) => {
+  const points = [];
+  for (let start = bucketStart(from, bucket); start <= to; start = nextBucket(start, bucket)) {
+    points.push(values.get(start.getTime()) || empty(start));
+  }
+  return points;
+};
+
+// ===== ARGUMENTS =====
+
+const checkRange = (value, name, max) => {
+  if (!Number.isInteger(value) || value < 1 || value > max) {
+    throw new UserInputError(`${name} must be an integer between 1 and ${max}`);
+  }
+};
+
+const toObjectId = (id, name) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new UserInputError(`${name} must be a valid ID`);
+  }
+  return new mongoose.Types.ObjectId(String(id));
+};
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new UserInputError(`${name} must be a valid date`);
+  }
+  return date;
+};
+
+// Stats scope for an optional post, category or author filter (the whole site without one)
+const statScope = ({ postId, categoryId, authorId } = {}) => {
+  const given = [['post', postId, 'postId'], ['category', categoryId, 'categoryId'], ['author', authorId, 'authorId']]
+    .filter(([, id]) => id);
+  if (given.length > 1) {
+    throw new UserInputError('Filter by at most one of postId, categoryId and authorId');
+  }
+  if (given.length === 0) return { scope: 'site', ref: null };
+
+  const [scope, id, name] = given[0];
+  return { scope, ref: toObjectId(id, name) };
+};
+
+// ===== RECORDING =====
+
+// Upserts adding counts to the day's stats of a post, its categories and authors, and the site.
+// Categories are credited directly, not through their parents.
+const statUpdates = (post, counts, date = new Date()) => {
+  const day = startOfDay(date);
+  const targets = [
+    ['site', null],
+    ['post', post._id],
+    ...(post.categories || []).map(id => ['category', id]),
+    ...(post.authors || []).map(id => ['author', id])
+  ];
+  return targets.map(([scope, ref]) => ({
+    updateOne: { filter: { date: day, scope, ref }, update: { $inc: counts }, upsert: true }
+  }));
+};
+
+const writeStats = async (updates, { session } = {}) => {
+  if (updates.length > 0) {
+    await DailyStat.bulkWrite(updates, { ordered: false, session });
+  }
+};
+
+// Add a batch of counted views (postId -> views)
+const recordViews = async (views) => {
+  const posts = await Post.find({ _id: { $in: [...views.keys()] } }).select('categories authors');
+  await writeStats(posts.flatMap(post => statUpdates(post, { views: views.get(post.id) })));
+};
+
+// Add (delta 1) or take back (delta -1) a reaction on a post
+const recordReaction = (post, delta, { session } = {}) => {
+  return writeStats(statUpdates(post, { reactions: delta }), { session });
+};
+
+// Whether saving the post will publish it; check before saving
+const isBeingPublished = (post) => post.status === 'published' && post.isModified('status');
+
+// Count a publish on the post's publication day
+const recordPublish = (post, { session } = {}) => {
+  return writeStats(statUpdates(post, { publishes: 1 }, post.publishedAt || new Date()), { session });
+};
+
+// ===== QUERIES =====
+
+// A Post query rewritten for posts looked up into `field` of an aggregation
+const prefixQuery = (query, field) => Object.fromEntries(Object.entries(query).map(([key, value]) => (
+  key.startsWith('$')
+    ? [key, value.map(condition => prefixQuery(condition, field))]
+    : [`${field}.${key}`, value]
+)));
+
+// Live posts with the most engagement over the last `days` days, optionally within a category
+// (including its subcategories). Reactions count REACTION_WEIGHT times as much as views.
+const trendingPosts = async ({ days = 7, limit = 10, categoryId } = {}) => {
+  checkRange(days, 'days', MAX_DAYS);
+  checkRange(limit, 'limit', 100);
+
+  // Live right now, so posts past their unpublish date do not trend before the scheduler archives them
+  const postMatch = prefixQuery(Post.publishedQuery(), 'post');
+  if (categoryId) {
+    postMatch['post.categories'] = { $in: await subtreeIds(toObjectId(categoryId, 'categoryId')) };
+  }
+
+  const results = await DailyStat.aggregate([
+    { $match: { scope: 'post', date: { $gte: windowStart(days) } } },
+    { $group: { _id: '$ref', views: { $sum: '$views' }, reactions: { $sum: '$reactions' } } },
+    { $addFields: { score: { $add: ['$views', { $multiply: ['$reactions', REACTION_WEIGHT] }] } } },
+    { $match: { score: { $gt: 0 } } },
+    { $sort: { score: -1, _id: 1 } },
+    { $lookup: { from: Post.collection.name, localField: '_id', foreignField: '_id', as: 'post' } },
+    { $unwind: '$post' },
+    { $match: postMatch },
+    { $limit: limit }
+  ]);
+
+  return results.map(({ post, views, reactions, score }) => ({
+    post: Post.hydrate(post),
+    views,
+    reactions,
+    score
+  }));
+};
+
+// Categories ranked by views, reactions or publishes over the last `days` days
+const topCategories = async ({ days = 30, limit = 10, metric = 'views' } = {}) => {
+  checkRange(days, 'days', MAX_DAYS);
+  checkRange(limit, 'limit', 100);
+  if (!CATEGORY_METRICS.includes(metric)) {
+    throw new UserInputError(`metric must be one of: ${CATEGORY_METRICS.join(', ')}`);
+  }
+
+  const results = await DailyStat.aggregate([
+    { $match: { scope: 'category', date: { $gte: windowStart(days) } } },
+    {
+      $group: {
+        _id: '$ref',
+        views: { $sum: '$views' },
+        reactions: { $sum: '$reactions' },
+        publishes: { $sum: '$publishes' }
+      }
+    },
+    { $match: { [metric]: { $gt: 0 } } },
+    { $sort: { [metric]: -1, _id: 1 } },
+    { $lookup: { from: Category.collection.name, localField: '_id', foreignField: '_id', as: 'category' } },
+    { $unwind: '$category' },
+    { $limit: limit }
+  ]);
+
+  return results.map(({ category, views, reactions, publishes }) => ({
+    category: Category.hydrate(category),
+    views,
+    reactions,
+    publishes
+  }));
+};
+
+// Posts published per week (weeks start on Monday) over the last `weeks` weeks, oldest first
+const publishingCadence = async ({ weeks = 12, categoryId, authorId } = {}) => {
+  checkRange(weeks, 'weeks', Math.floor(MAX_DAYS / 7));
+
+  const { scope, ref } = statScope({ categoryId, authorId });
+  const to = startOfDay(new Date());
+  const from = new Date(bucketStart(to, 'week').getTime() - (weeks - 1) * 7 * DAY_MS);
+
+  const groups = await DailyStat.aggregate([
+    { $match: { scope, ref, date: { $gte: from, $lte: to }, publishes: { $ne: 0 } } },
+    {
+      $group: {
+        _id: { $dateTrunc: { date: '$date', unit: 'week', startOfWeek: 'monday' } },
+        publishes: { $sum: '$publishes' }
+      }
+    }
+  ]);
+
+  const values = new Map(groups.map(group => [
+    group._id.getTime(),
+    { weekStart: group._id, publishes: group.publishes }
+  ]));
+  return fillBuckets(values, from, to, 'week', weekStart => ({ weekStart, publishes: 0 }));
+};
+
+// Views and reactions per day, week or month between two dates (to defaults to today), for the
+// whole site or one post, category or author
+const viewsOverTime = async ({ from, to, bucket = 'day', postId, categoryId, authorId } = {}) => {
+  if (!TIME_BUCKETS.includes(bucket)) {
+    throw new UserInputError(`bucket must be one of: ${TIME_BUCKETS.join(', ')}`);
+  }
+  const start = startOfDay(parseDate(from, 'from'));
+  const end = startOfDay(to ? parseDate(to, 'to') : new Date());
+  if (start > end) {
+    throw new UserInputError('from must not be after to');
+  }
+  if ((end - start) / DAY_MS >= MAX_DAYS) {
+    throw new UserInputError(`The range cannot exceed ${MAX_DAYS} days`);
+  }
+
+  const { scope, ref } = statScope({ postId, categoryId, authorId });
+  const period = bucket === 'week'
+    ? { $dateTrunc: { date: '$date', unit: 'week', startOfWeek: 'monday' } }
+    : { $dateTrunc: { date: '$date', unit: bucket } };
+  const groups = await DailyStat.aggregate([
+    { $match: { scope, ref, date: { $gte: start, $lte: end } } },
+    {
+      $group: {
+        _id: period,
+        views: { $sum: '$views' },
+        reactions: { $sum: '$reactions' }
+      }
+    }
+  ]);
+
+  const values = new Map(groups.map(group => [
+    group._id.getTime(),
+    { periodStart: group._id, views: group.views, reactions: group.reactions }
+  ]));
+  return fillBuckets(values, start, end, bucket, periodStart => ({ periodStart, views: 0, reactions: 0 }));
+};
+
+// Post counts per workflow status, optionally for posts created within a date range and/or
+// in a category (including its subcategories)
+const postsSummary = async ({ from, to, categoryId } = {}) => {
+  const match = {};
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = parseDate(from, 'from');
+    if (to) match.createdAt.$lte = parseDate(to, 'to');
+  }
+  if (categoryId) {
+    match.categories = { $in: await subtreeIds(toObjectId(categoryId, 'categoryId')) };
+  }
+
+  // Count every workflow state in a single pass
+  const groups = await Post.aggregate([
+    { $match: match },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+  const counts = new Map(groups.map(group => [group._id, group.count]));
+  const countOf = (status) => counts.get(status) || 0;
+
+  return {
+    totalPosts: groups.reduce((sum, group) => sum + group.count, 0),
+    drafts: countOf('draft'),
+    pending: countOf('pending'),
+    changesRequested: countOf('changes_requested'),
+    approved: countOf('approved'),
+    scheduled: countOf('scheduled'),
+    published: countOf('published'),
+    archived: countOf('archived'),
+    byStatus: Post.STATUSES.map(status => ({ status, count: countOf(status) }))
+  };
+};
+
+module.exports = {
+  TIME_BUCKETS,
+  CATEGORY_METRICS,
+  startOfDay,
+  bucketStart,
+  statUpdates,
+  recordViews,
+  recordReaction,
+  isBeingPublished,
+  recordPublish,
+  trendingPosts,
+  topCategories,
+  publishingCadence,
+  viewsOverTime,
+  postsSummary
+};
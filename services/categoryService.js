@@ -0,0 +1,340 @@
+// services/categoryService.js
+// Category tree operations. Every category stores its ancestor path (see models/Category.js),
+// so moving a category rewrites the path of its whole subtree inside one transaction.
+// Deleting or deactivating a category first detaches its posts and subcategories, so nothing
+// is left pointing at it.
+const mongoose = require('mongoose');
+const { UserInputError } = require('apollo-server-express');
+const Category = require('../models/Category');
+const Post = require('../models/Post');
+const { ConflictError, NotFoundError } = require('../graphql/errors');
+const { saveIfVersion } = require('../utils/concurrency');
+const { withTransaction } = require('../utils/transaction');
+const { invalidateRelatedPosts } = require('./relatedPosts');
+
+const buildCategoryConflict = (category, expectedVersion) => {
+  return new ConflictError(
+    `Category was modified by someone else (version ${category.version}, you have ${expectedVersion})`,
+    {
+      currentVersion: category.version,
+      expectedVersion,
+      changedFields: category.changedFieldsSince(expectedVersion)
+    }
+  );
+};
+
+// ===== TREE MAINTENANCE =====
+
+// Rewrite the ancestors of every descendant of a category whose own path has just changed
+const updateDescendantPaths = async (category, { session } = {}) => {
+  const descendants = await Category.find({ ancestors: category._id })
+    .select('ancestors')
+    .session(session || null);
+  if (descendants.length === 0) return 0;
+
+  const prefix = [...category.ancestors, category._id];
+  await Category.bulkWrite(descendants.map(descendant => {
+    const index = descendant.ancestors.findIndex(id => id.equals(category._id));
+    return {
+      updateOne: {
+        filter: { _id: descendant._id },
+        update: { $set: { ancestors: [...prefix, ...descendant.ancestors.slice(index + 1)] } }
+      }
+    };
+  }), { session });
+  return descendants.length;
+};
+
+// Number the categories 0..n in the given order and save those whose position changed.
+// `skip` is left for the caller to save (used for the category being moved).
+const saveSiblingOrder = async (categories, { session, skip } = {}) => {
+  categories.forEach((category, index) => {
+    category.sortOrder = index;
+  });
+
+  for (const category of categories) {
+    if (category === skip || !category.isModified('sortOrder')) continue;
+    category.bumpVersion();
+    await category.save({ session });
+  }
+};
+
+// IDs of a category and all of its descendants, for filters that include subcategories
+const subtreeIds = async (categoryId) => {
+  const descendants = await Category.find({ ancestors: categoryId }).select('_id');
+  return [new mongoose.Types.ObjectId(String(categoryId)), ...descendants.map(category => category._id)];
+};
+
+// ===== OPERATIONS =====
+
+const createCategory = async ({ parentId, ...fields }) => {
+  const category = new Category({ ...fields, parent: parentId || null });
+  return await category.save();
+};
+
+// Resolves to the updated category, or null when there is no such category.
+// parentId null moves the category to the root.
+const updateCategory = (id, { parentId, ...fields }, { expectedVersion } = {}) => withTransaction(async (session) => {
+  const category = await Category.findById(id).session(session);
+  if (!category) return null;
+
+  const loadedVersion = category.version;
+  if (expectedVersion !== undefined && expectedVersion !== null && expectedVersion !== loadedVersion) {
+    throw buildCategoryConflict(category, expectedVersion);
+  }
+
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined) category[key] = value;
+  }
+  if (parentId !== undefined) category.parent = parentId || null;
+  const parentChanged = category.isModified('parent');
+
+  // Deactivating here is only allowed for unused categories; use deactivateCategory to
+  // move posts and subcategories elsewhere first
+  if (category.isModified('isActive') && !category.isActive) {
+    await detachCategory(category, { policy: 'restrict' }, { session });
+  }
+
+  const changed = category.bumpVersion();
+  if (changed.length === 0) return category;
+
+  if (!(await saveIfVersion(category, loadedVersion, { session }))) {
+    const current = await Category.findById(id).session(session);
+    throw buildCategoryConflict(current, expectedVersion ?? loadedVersion);
+  }
+  // A new parent changes the ancestor path of the whole subtree
+  if (parentChanged) {
+    await updateDescendantPaths(category, { session });
+  }
+  return category;
+});
+
+// Move a category (with its subtree) under a new parent, or to the root when newParentId is null.
+// position is the index among the new siblings; it defaults to the end.
+const moveCategory = (id, newParentId, { position, expectedVersion } = {}) => withTransaction(async (session) => {
+  const category = await Category.findById(id).session(session);
+  if (!category) {
+    throw new NotFoundError('Category not found');
+  }
+
+  const loadedVersion = category.version;
+  if (expectedVersion !== undefined && expectedVersion !== null && expectedVersion !== loadedVersion) {
+    throw buildCategoryConflict(category, expectedVersion);
+  }
+
+  category.parent = newParentId || null;
+  const parentChanged = category.isModified('parent');
+
+  const siblings = await Category.find({ parent: category.parent, _id: { $ne: category._id } })
+    .sort({ sortOrder: 1, name: 1 })
+    .session(session);
+  const index = position === undefined || position === null
+    ? siblings.length
+    : Math.max(0, Math.min(position, siblings.length));
+  siblings.splice(index, 0, category);
+  await saveSiblingOrder(siblings, { session, skip: category });
+
+  const changed = category.bumpVersion();
+  if (changed.length === 0) return category;
+
+  if (!(await saveIfVersion(category, loadedVersion, { session }))) {
+    const current = await Category.findById(id).session(session);
+    throw buildCategoryConflict(current, expectedVersion ?? loadedVersion);
+  }
+  if (parentChanged) {
+    await updateDescendantPaths(category, { session });
+    // Posts in the moved branch are now near different categories
+    const branch = await Category.find({ $or: [{ _id: category._id }, { ancestors: category._id }] })
+      .select('_id')
+      .session(session);
+    const postIds = await Post.distinct('_id', { categories: { $in: branch.map(node => node._id) } }).session(session);
+    await invalidateRelatedPosts(postIds, { session });
+  }
+  return category;
+});
+
+// Set the order of a parent's children (root categories when parentId is null).
+// orderedIds must list every child exactly once.
+const reorderCategories = (parentId, orderedIds) => withTransaction(async (session) => {
+  const children = await Category.find({ parent: parentId || null }).session(session);
+  const byId = new Map(children.map(category => [category.id, category]));
+
+  const ids = orderedIds.map(String);
+  const complete = new Set(ids).size === ids.length &&
+    ids.length === children.length &&
+    ids.every(id => byId.has(id));
+  if (!complete) {
+    throw new UserInputError('orderedIds must list every child category of the parent exactly once');
+  }
+
+  const ordered = ids.map(id => byId.get(id));
+  await saveSiblingOrder(ordered, { session });
+  return ordered;
+});
+
+// Build the category tree in one query. With rootId the tree starts at that category,
+// otherwise at every root category. depth limits how many levels below the roots are included.
+const categoryTree = async ({ rootId, depth } = {}) => {
+  if (depth !== undefined && depth !== null && (!Number.isInteger(depth) || depth < 0)) {
+    throw new UserInputError('depth must be a non-negative integer');
+  }
+  const limited = depth !== undefined && depth !== null;
+
+  const filter = {};
+  if (rootId) {
+    filter.$or = [{ _id: rootId }, { ancestors: rootId }];
+  } else if (limited) {
+    // Root categories have no ancestors, so a level-n category has ancestors[n - 1]
+    filter[`ancestors.${depth}`] = { $exists: false };
+  }
+
+  const categories = await Category.find(filter).sort({ sortOrder: 1, name: 1 });
+  const nodes = new Map(categories.map(category => [category.id, { category, children: [] }]));
+
+  const root = rootId ? nodes.get(String(rootId)) : null;
+  if (rootId && !root) return [];
+  const baseLevel = root ? root.category.level : 0;
+
+  const roots = [];
+  for (const category of categories) {
+    if (limited && category.level - baseLevel > depth) continue;
+
+    const node = nodes.get(category.id);
+    const parentNode = category.parent ? nodes.get(category.parent.toString()) : null;
+    if (root ? node === root : !parentNode) {
+      roots.push(node);
+    } else if (parentNode) {
+      parentNode.children.push(node);
+    }
+  }
+  return roots;
+};
+
+// ===== DELETION =====
+
+// What happens to the posts and subcategories of a category that is deleted or deactivated:
+//   reassign - move them to the category given as targetId
+//   promote  - move them to the category's own parent (posts just lose the category at the root)
+//   restrict - refuse while the category is still in use
+const DELETION_POLICIES = ['reassign', 'promote', 'restrict'];
+
+const findDestination = async (category, { policy, targetId }, { session }) => {
+  if (policy === 'promote') {
+    return category.parent ? await Category.findById(category.parent).session(session) : null;
+  }
+
+  if (!targetId) {
+    throw new UserInputError('targetId is required to reassign posts and subcategories');
+  }
+  const target = await Category.findById(targetId).session(session);
+  if (!target) {
+    throw new UserInputError('Target category not found');
+  }
+  if (target._id.equals(category._id) || target.ancestors.some(id => id.equals(category._id))) {
+    throw new UserInputError('Target category cannot be the category itself or one of its subcategories');
+  }
+  if (!target.isActive) {
+    throw new UserInputError('Target category is inactive');
+  }
+  return target;
+};
+
+// Move the posts and subcategories of a category elsewhere according to the policy.
+// Returns a report of what was changed; the caller then deletes or deactivates the category.
+const detachCategory = async (category, { policy = 'restrict', targetId } = {}, { session } = {}) => {
+  if (!DELETION_POLICIES.includes(policy)) {
+    throw new UserInputError(`Unknown deletion policy: ${policy}`);
+  }
+
+  const posts = await Post.find({ categories: category._id }).select('_id').session(session || null);
+  const postIds = posts.map(post => post._id);
+  const children = await Category.find({ parent: category._id })
+    .sort({ sortOrder: 1, name: 1 })
+    .session(session || null);
+
+  const report = {
+    categoryId: category._id,
+    policy,
+    target: null,
+    affectedPostIds: postIds,
+    affectedPostCount: postIds.length,
+    movedCategories: children
+  };
+
+  if (policy === 'restrict') {
+    if (postIds.length > 0 || children.length > 0) {
+      throw new UserInputError(
+        `Category is still used by ${postIds.length} post(s) and ${children.length} subcategories`,
+        { postCount: postIds.length, subcategoryCount: children.length }
+      );
+    }
+    return report;
+  }
+
+  const destination = await findDestination(category, { policy, targetId }, { session });
+  report.target = destination;
+
+  if (postIds.length > 0) {
+    if (destination) {
+      await Post.updateMany({ _id: { $in: postIds } }, { $addToSet: { categories: destination._id } }, { session });
+    }
+    await Post.updateMany({ _id: { $in: postIds } }, { $pull: { categories: category._id } }, { session });
+    await invalidateRelatedPosts(postIds, { session });
+  }
+
+  // Children keep their order and go after the destination's existing children
+  const destinationId = destination ? destination._id : null;
+  const offset = await Category.countDocuments({ parent: destinationId, _id: { $ne: category._id } })
+    .session(session || null);
+  for (const [index, child] of children.entries()) {
+    child.parent = destinationId;
+    child.sortOrder = offset + index;
+    child.bumpVersion();
+    await child.save({ session });
+    await updateDescendantPaths(child, { session });
+  }
+
+  return report;
+};
+
+const deleteCategory = (id, options = {}) => withTransaction(async (session) => {
+  const category = await Category.findById(id).session(session);
+  if (!category) {
+    throw new NotFoundError('Category not found');
+  }
+
+  const report = await detachCategory(category, options, { session });
+  await Category.deleteOne({ _id: category._id }, { session });
+  return report;
+});
+
+// Inactive categories keep their record but hold no posts or subcategories
+const deactivateCategory = (id, options = {}) => withTransaction(async (session) => {
+  const category = await Category.findById(id).session(session);
+  if (!category) {
+    throw new NotFoundError('Category not found');
+  }
+
+  const report = await detachCategory(category, options, { session });
+  if (category.isActive) {
+    category.isActive = false;
+    category.bumpVersion();
+    await category.save({ session });
+  }
+  return report;
+});
+
+module.exports = {
+  DELETION_POLICIES,
+  buildCategoryConflict,
+  updateDescendantPaths,
+  subtreeIds,
+  createCategory,
+  updateCategory,
+  moveCategory,
+  reorderCategories,
+  categoryTree,
+  detachCategory,
+  deleteCategory,
+  deactivateCategory
+};
@@ -0,0 +1,202 @@
+// services/commentService.js
+// Comment submission and moderation.
+// New comments are scored by simple spam heuristics (links, banned words, rate per IP and
+// duplicates). Post.commentCount counts approved comments and is adjusted in the same
+// transaction as every status change.
+const { ForbiddenError, UserInputError } = require('apollo-server-express');
+const Comment = require('../models/Comment');
+const Post = require('../models/Post');
+const settings = require('../config/comments');
+const { NotFoundError } = require('../graphql/errors');
+const { EDITOR_ROLES } = require('../middleware/auth');
+const { escapeRegExp } = require('../utils/regex');
+const { withTransaction } = require('../utils/transaction');
+
+const LINK_PATTERN = /(https?:\/\/|www\.)\S+/gi;
+
+// Status each moderation action moves a comment to
+const MODERATION_ACTIONS = {
+  approve: 'approved',
+  reject: 'deleted',
+  spam: 'spam'
+};
+
+const isModerator = (user) => Boolean(user && EDITOR_ROLES.includes(user.role));
+
+// ===== SPAM HEURISTICS =====
+
+// Score a new comment; every heuristic that fires adds to the score and records a reason
+const scoreComment = async ({ content, ipAddress }) => {
+  let score = 0;
+  const reasons = [];
+
+  const links = (content.match(LINK_PATTERN) || []).length;
+  if (links > settings.maxLinks) {
+    score += links - settings.maxLinks;
+    reasons.push(`Contains ${links} links`);
+  }
+
+  const banned = settings.bannedWords.filter(word => new RegExp(`\\b${escapeRegExp(word)}\\b`, 'i').test(content));
+  if (banned.length > 0) {
+    score += settings.spamThreshold;
+    reasons.push(`Contains banned words: ${banned.join(', ')}`);
+  }
+
+  if (ipAddress) {
+    const since = new Date(Date.now() - settings.rateWindowMinutes * 60 * 1000);
+    const recent = await Comment.countDocuments({ ipAddress, createdAt: { $gte: since } });
+    if (recent >= settings.ratePerIp) {
+      score += 2;
+      reasons.push(`${recent} comments from the same IP in ${settings.rateWindowMinutes} minutes`);
+    }
+  }
+
+  const duplicateSince = new Date(Date.now() - settings.duplicateWindowHours * 60 * 60 * 1000);
+  const duplicate = await Comment.exists({
+    contentHash: Comment.hashContent(content),
+    createdAt: { $gte: duplicateSince }
+  });
+  if (duplicate) {
+    score += 2;
+    reasons.push('Duplicate of a recent comment');
+  }
+
+  return { score, reasons };
+};
+
+// ===== COUNTS =====
+
+// Apply per-post changes to commentCount (postId -> delta). A count changing is not an edit,
+// so updatedAt is left alone.
+const applyCommentCounts = async (deltas, { session } = {}) => {
+  const updates = [...deltas.entries()]
+    .filter(([, delta]) => delta !== 0)
+    .map(([postId, delta]) => ({
+      updateOne: { filter: { _id: postId }, update: { $inc: { commentCount: delta } } }
+    }));
+  if (updates.length > 0) {
+    await Post.bulkWrite(updates, { session, timestamps: false });
+  }
+};
+
+// Move comments to a new status, keeping the posts' comment counts in step
+const setStatus = async (comments, status, moderator, { session } = {}) => {
+  const changed = comments.filter(comment => comment.status !== status);
+  if (changed.length === 0) return;
+
+  const deltas = new Map();
+  for (const comment of changed) {
+    const delta = (status === 'approved' ? 1 : 0) - (comment.status === 'approved' ? 1 : 0);
+    const postId = comment.post.toString();
+    deltas.set(postId, (deltas.get(postId) || 0) + delta);
+  }
+
+  await Comment.updateMany(
+    { _id: { $in: changed.map(comment => comment._id) } },
+    { $set: { status, moderatedBy: moderator ? moderator._id : null, moderatedAt: new Date() } },
+    { session }
+  );
+  await applyCommentCounts(deltas, { session });
+};
+
+// ===== OPERATIONS =====
+
+// Add a comment or reply. Guests must give a name and email; signed-in users comment under their name.
+const addComment = async ({ postId, parentId, content, authorName, authorEmail }, { user, ipAddress, userAgent } = {}) => {
+  const post = await Post.findById(postId);
+  if (!post || !post.isPublished) {
+    throw new NotFoundError('Post not found');
+  }
+  if (!post.commentsEnabled) {
+    throw new ForbiddenError('Comments are closed for this post');
+  }
+  if (!user && !(authorName && authorEmail)) {
+    throw new UserInputError('Guests must provide a name and email address');
+  }
+
+  const text = String(content || '').trim();
+  if (!text) {
+    throw new UserInputError('Comment content is required');
+  }
+
+  let thread = { parent: null, root: null, depth: 0 };
+  if (parentId) {
+    const parent = await Comment.findOne({ _id: parentId, post: post._id, status: 'approved' });
+    if (!parent) {
+      throw new UserInputError('Parent comment not found');
+    }
+    // Replies past the maximum depth join the conversation one level up
+    const tooDeep = parent.depth >= settings.maxDepth;
+    thread = {
+      parent: tooDeep && parent.parent ? parent.parent : parent._id,
+      root: parent.root || parent._id,
+      depth: tooDeep ? parent.depth : parent.depth + 1
+    };
+  }
+
+  const { score, reasons } = await scoreComment({ content: text, ipAddress });
+  let status = 'pending';
+  if (isModerator(user)) {
+    status = 'approved';
+  } else if (score >= settings.spamThreshold) {
+    status = 'spam';
+  } else if (settings.autoApprove && score === 0) {
+    status = 'approved';
+  }
+
+  return await withTransaction(async (session) => {
+    const [comment] = await Comment.create([{
+      post: post._id,
+      ...thread,
+      content: text,
+      user: user ? user._id : null,
+      authorName: user ? user.name : authorName,
+      authorEmail: user ? user.email : authorEmail,
+      status,
+      spamScore: score,
+      spamReasons: reasons,
+      ipAddress,
+      userAgent
+    }], { session });
+
+    if (status === 'approved') {
+      await applyCommentCounts(new Map([[post.id, 1]]), { session });
+    }
+    return comment;
+  });
+};
+
+// Approve, reject or mark as spam several comments at once
+const moderateComments = (ids, action, moderator) => withTransaction(async (session) => {
+  const status = MODERATION_ACTIONS[action];
+  if (!status) {
+    throw new UserInputError(`Unknown moderation action: ${action}`);
+  }
+
+  const comments = await Comment.find({ _id: { $in: ids } }).session(session);
+  await setStatus(comments, status, moderator, { session });
+  return await Comment.find({ _id: { $in: ids } }).session(session);
+});
+
+// Commenters may delete their own comments; moderators may delete any
+const deleteComment = (id, user) => withTransaction(async (session) => {
+  const comment = await Comment.findById(id).session(session);
+  if (!comment) return false;
+
+  const isAuthor = comment.user && comment.user.toString() === user.id;
+  if (!isAuthor && !isModerator(user)) {
+    throw new ForbiddenError('You can only delete your own comments');
+  }
+
+  await setStatus([comment], 'deleted', user, { session });
+  return true;
+});
+
+module.exports = {
+  MODERATION_ACTIONS,
+  isModerator,
+  scoreComment,
+  addComment,
+  moderateComments,
+  deleteComment
+};
@@ -0,0 +1,248 @@
+// services/engagement.js
+// View counting and reactions.
+// A view counts once per visitor within the dedupe window and never for obvious bots. Counted
+// views are buffered in memory and written to Post.viewCount in one bulk write per interval,
+// so a busy post does not take a write for every page view. Counters are not edits, so these
+// writes leave Post.updatedAt alone. Views and reactions are also limited per IP address.
+const crypto = require('crypto');
+const { UserInputError } = require('apollo-server-express');
+const logger = require('../config/logger');
+const settings = require('../config/engagement');
+const Post = require('../models/Post');
+const PostView = require('../models/PostView');
+const Reaction = require('../models/Reaction');
+const { NotFoundError, RateLimitError } = require('../graphql/errors');
+const { withTransaction } = require('../utils/transaction');
+const { recordViews, recordReaction } = require('./analytics');
+
+// User agents of crawlers, monitors, previews and scripted clients
+const BOT_PATTERN = /bot|crawl|spider|slurp|scrape|headless|lighthouse|pingdom|monitor|preview|facebookexternalhit|embedly|curl|wget|python-|java\/|go-http-client|okhttp|axios|node-fetch|postman/i;
+
+// postId -> views counted since the last flush
+const pendingViews = new Map();
+
+// IP address -> { count, resetAt } of the current rate window, per action
+const rateWindows = { view: new Map(), reaction: new Map() };
+// Expired windows are swept once this many addresses are tracked
+const MAX_TRACKED_ADDRESSES = 10000;
+
+let timer = null;
+let flushing = false;
+
+// ===== VISITORS =====
+
+function isBot(userAgent) {
+  return !userAgent || BOT_PATTERN.test(userAgent);
+}
+
+// Stable, anonymous identifier of a visitor: the user when signed in, otherwise the IP address
+// and user agent, told apart further by the client's visitorId (e.g. a first-party cookie).
+// visitorId never stands on its own, so a client cannot become a new visitor by changing it.
+function visitorFingerprint({ user, visitorId, ipAddress, userAgent }) {
+  const source = user
+    ? `user:${user._id}`
+    : `client:${ipAddress || ''}|${userAgent || ''}|${visitorId || ''}`;
+  return crypto.createHash('sha256').update(source).digest('hex');
+}
+
+// Count an action against the visitor's IP address; false once the address is over the limit
+function withinRateLimit(action, { ipAddress }, limit) {
+  if (!ipAddress) return true;
+
+  const windows = rateWindows[action];
+  const now = Date.now();
+  if (windows.size >= MAX_TRACKED_ADDRESSES) {
+    for (const [address, window] of windows) {
+      if (window.resetAt <= now) windows.delete(address);
+    }
+  }
+
+  let window = windows.get(ipAddress);
+  if (!window || window.resetAt <= now) {
+    window = { count: 0, resetAt: now + settings.rateWindowMinutes * 60 * 1000 };
+    windows.set(ipAddress, window);
+  }
+  window.count++;
+  return window.count <= limit;
+}
+
+function checkReactionRate(visitor) {
+  if (!withinRateLimit('reaction', visitor, settings.reactionRatePerIp)) {
+    throw new RateLimitError('Too many reactions from this IP, please try again later');
+  }
+}
+
+// Visitor details of an Express request
+function visitorFromRequest(req, { user, visitorId } = {}) {
+  return {
+    user: user || null,
+    visitorId: visitorId ? String(visitorId).slice(0, 200) : null,
+    ipAddress: req ? req.ip : undefined,
+    userAgent: req ? req.get('user-agent') : undefined
+  };
+}
+
+async function findPublishedPost(postId) {
+  const post = await Post.findOne({ _id: postId, ...Post.publishedQuery() }).select('categories authors');
+  if (!post) {
+    throw new NotFoundError('Post not found');
+  }
+  return post;
+}
+
+// ===== VIEWS =====
+
+function queueViews(postId, count = 1) {
+  pendingViews.set(postId, (pendingViews.get(postId) || 0) + count);
+}
+
+// Record a view; resolves to true when it was counted
+async function recordView(postId, visitor) {
+  if (isBot(visitor.userAgent)) return false;
+  if (!withinRateLimit('view', visitor, settings.viewRatePerIp)) return false;
+
+  const post = await findPublishedPost(postId);
+  const counted = await PostView.register(
+    post._id,
+    visitorFingerprint(visitor),
+    settings.viewWindowMinutes * 60 * 1000
+  );
+  if (counted) {
+    queueViews(post.id);
+  }
+  return counted;
+}
+
+// Write the buffered views to the posts and the daily stats; resolves to the number of views
+// written. Views from a failed write go back into the buffer for the next flush.
+async function flushViews() {
+  if (pendingViews.size === 0) return 0;
+
+  const batch = new Map(pendingViews);
+  pendingViews.clear();
+
+  try {
+    await Post.bulkWrite([...batch.entries()].map(([postId, count]) => ({
+      updateOne: { filter: { _id: postId }, update: { $inc: { viewCount: count } } }
+    })), { ordered: false, timestamps: false });
+  } catch (error) {
+    for (const [postId, count] of batch) {
+      queueViews(postId, count);
+    }
+    throw error;
+  }
+
+  // The posts are already counted, so a failure here must not put the views back
+  try {
+    await recordViews(batch);
+  } catch (error) {
+    logger.error('Recording daily view stats failed:', error);
+  }
+
+  return [...batch.values()].reduce((sum, count) => sum + count, 0);
+}
+
+function startViewFlusher(options = {}) {
+  if (timer) return;
+
+  const intervalMs = options.intervalMs || settings.viewFlushIntervalMs;
+
+  const tick = async () => {
+    if (flushing) return;
+    flushing = true;
+    try {
+      await flushViews();
+    } catch (error) {
+      logger.error('Flushing view counts failed:', error);
+    } finally {
+      flushing = false;
+    }
+  };
+
+  timer = setInterval(tick, intervalMs);
+  // Do not keep the process alive just for the flusher
+  timer.unref();
+  logger.info(`View counter started (flushing every ${intervalMs}ms)`);
+}
+
+// Stop the timer and write whatever is still buffered
+async function stopViewFlusher() {
+  if (!timer) return;
+  clearInterval(timer);
+  timer = null;
+  await flushViews();
+}
+
+// ===== REACTIONS =====
+
+function checkReactionType(type) {
+  if (!settings.reactionTypes.includes(type)) {
+    throw new UserInputError(`Reaction type must be one of: ${settings.reactionTypes.join(', ')}`);
+  }
+}
+
+// Add a reaction; resolves to false when the visitor had already left it
+async function addReaction(postId, type, visitor) {
+  checkReactionType(type);
+  checkReactionRate(visitor);
+  const post = await findPublishedPost(postId);
+  const fingerprint = visitorFingerprint(visitor);
+
+  try {
+    return await withTransaction(async (session) => {
+      const existing = await Reaction.exists({ post: post._id, visitor: fingerprint, type }).session(session);
+      if (existing) return false;
+
+      await Reaction.create([{
+        post: post._id,
+        type,
+        visitor: fingerprint,
+        user: visitor.user ? visitor.user._id : null
+      }], { session });
+      await Post.updateOne({ _id: post._id }, { $inc: { [`reactionCounts.${type}`]: 1 } }, { session, timestamps: false });
+      await recordReaction(post, 1, { session });
+      return true;
+    });
+  } catch (error) {
+    // The same reaction was added concurrently
+    if (error.code === 11000) return false;
+    throw error;
+  }
+}
+
+// Remove a reaction; resolves to false when the visitor had not left it
+async function removeReaction(postId, type, visitor) {
+  checkReactionType(type);
+  checkReactionRate(visitor);
+  const post = await findPublishedPost(postId);
+  const fingerprint = visitorFingerprint(visitor);
+
+  return await withTransaction(async (session) => {
+    const { deletedCount } = await Reaction.deleteOne({ post: post._id, visitor: fingerprint, type }, { session });
+    if (deletedCount === 0) return false;
+
+    await Post.updateOne({ _id: post._id }, { $inc: { [`reactionCounts.${type}`]: -1 } }, { session, timestamps: false });
+    await recordReaction(post, -1, { session });
+    return true;
+  });
+}
+
+// Count of every reaction type, including those nobody has used yet
+function reactionCounts(post) {
+  const counts = post.reactionCounts || {};
+  const get = counts instanceof Map ? (type) => counts.get(type) : (type) => counts[type];
+  return settings.reactionTypes.map(type => ({ type, count: get(type) || 0 }));
+}
+
+module.exports = {
+  isBot,
+  visitorFingerprint,
+  visitorFromRequest,
+  recordView,
+  flushViews,
+  startViewFlusher,
+  stopViewFlusher,
+  addReaction,
+  removeReaction,
+  reactionCounts
+};
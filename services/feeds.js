@@ -0,0 +1,278 @@
+// services/feeds.js
+// RSS 2.0, Atom 1.0 and JSON Feed 1.1 feeds of the latest published posts, for the whole site,
+// a category (including its subcategories) or a tag. Links point to the frontend (config/site.js).
+// loadFeed reads the posts with their image enclosures and the validators for conditional
+// requests (ETag, Last-Modified); renderFeed writes the feed, so unchanged feeds are never rendered.
+const crypto = require('crypto');
+const Category = require('../models/Category');
+const Image = require('../models/Image');
+const Post = require('../models/Post');
+const Tag = require('../models/Tag');
+const site = require('../config/site');
+const { escapeXml, element } = require('../utils/xml');
+const { subtreeIds } = require('./categoryService');
+
+// Feed format -> Content-Type
+const FEED_FORMATS = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  json: 'application/feed+json; charset=utf-8'
+};
+const CONTENT_MODES = ['full', 'excerpt'];
+
+// ===== LOADING =====
+
+// What a feed covers, or null when its category or tag does not exist.
+// scope: { type: 'site' } | { type: 'category', slug } | { type: 'tag', name }.
+// key is the canonical slug or tag name, which differs from the requested one for an old
+// category slug or a tag alias.
+const resolveScope = async (scope) => {
+  if (scope.type === 'category') {
+    const category = await Category.findBySlug(scope.slug);
+    if (!category) return null;
+    return {
+      key: category.slug,
+      title: `${site.title}: ${category.name}`,
+      description: category.description || `Posts in ${category.name}`,
+      link: site.categoryUrl(category),
+      updatedAt: category.updatedAt,
+      posts: async () => Post.findByCategory(await subtreeIds(category._id), site.feedSize)
+    };
+  }
+
+  if (scope.type === 'tag') {
+    const tag = await Tag.findByNameOrAlias(scope.name);
+    if (!tag) return null;
+    return {
+      key: tag.name,
+      title: `${site.title}: ${tag.name}`,
+      description: tag.description || `Posts tagged ${tag.name}`,
+      link: site.tagUrl(tag),
+      updatedAt: tag.updatedAt,
+      posts: async () => Post.findByTag(tag._id, site.feedSize)
+    };
+  }
+
+  return {
+    key: null,
+    title: site.title,
+    description: site.description || `Latest posts from ${site.title}`,
+    link: site.url,
+    updatedAt: null,
+    posts: async () => Post.findPublished(site.feedSize)
+  };
+};
+
+// Ready images of the posts, oldest upload first, by post ID
+const loadImages = async (posts) => {
+  const images = await Image.find({ postId: { $in: posts.map(post => post._id) }, status: 'ready' })
+    .sort({ uploadedAt: 1 });
+  const byPost = new Map();
+  for (const image of images) {
+    const key = String(image.postId);
+    if (!byPost.has(key)) byPost.set(key, []);
+    byPost.get(key).push(image);
+  }
+  return byPost;
+};
+
+// Load a feed; resolves to null when its category or tag does not exist.
+// content is 'full' (the rendered post) or 'excerpt'.
+const loadFeed = async (scope, { format, content = site.feedContent }) => {
+  const resolved = await resolveScope(scope);
+  if (!resolved) return null;
+
+  const { posts: findPosts, updatedAt, ...feed } = resolved;
+  const posts = await Post.populate(await findPosts(), [
+    { path: 'authors', select: 'displayName' },
+    { path: 'tags', select: 'name updatedAt' }
+  ]);
+
+  const images = await loadImages(posts);
+  const postImages = (post) => images.get(post.id) || [];
+
+  const changes = [
+    updatedAt,
+    ...posts.flatMap(post => [
+      post.updatedAt,
+      post.publishedAt,
+      ...postImages(post).map(image => image.updatedAt),
+      ...(post.categories || []).map(category => category.updatedAt),
+      ...(post.tags || []).map(tag => tag.updatedAt)
+    ])
+  ]
+    .filter(Boolean)
+    .map(date => date.getTime());
+  // Anything that changes the output changes the ETag, including posts dropping out of the feed,
+  // new or replaced enclosures and renamed categories or tags
+  const fingerprint = JSON.stringify([
+    format,
+    content,
+    feed.title,
+    feed.description,
+    ...posts.map(post => [
+      post.id,
+      post.updatedAt && post.updatedAt.getTime(),
+      postImages(post).map(image => [image.id, image.updatedAt && image.updatedAt.getTime()]),
+      (post.categories || []).map(category => category.name),
+      (post.tags || []).map(tag => tag.name)
+    ])
+  ]);
+
+  return {
+    ...feed,
+    format,
+    content,
+    posts,
+    images,
+    lastModified: changes.length > 0 ? new Date(Math.max(...changes)) : null,
+    etag: `"${crypto.createHash('sha1').update(fingerprint).digest('base64url')}"`
+  };
+};
+
+// ===== ITEMS =====
+
+// Stable ID of a post (RFC 4151 tag URI), which survives slug changes
+const postGuid = (post) => {
+  const host = new URL(site.url).hostname;
+  return `tag:${host},${post.createdAt.toISOString().slice(0, 10)}:posts/${post.id}`;
+};
+
+// Format-independent view of a post
+const toItem = (post, images, content) => ({
+  id: postGuid(post),
+  url: site.postUrl(post),
+  title: post.title,
+  summary: post.excerpt,
+  html: content === 'full' ? post.renderedContent().html : null,
+  publishedAt: post.publishedAt,
+  updatedAt: post.updatedAt || post.publishedAt,
+  authors: (post.authors || []).map(author => author.displayName).filter(Boolean),
+  categories: [
+    ...(post.categories || []).map(category => category.name),
+    ...(post.tags || []).map(tag => tag.name)
+  ].filter(Boolean),
+  images: images.map(image => ({
+    url: image.url,
+    type: image.mimetype || 'image/jpeg',
+    size: image.fileSize || 0,
+    title: image.title || image.altText || null
+  }))
+});
+
+// ===== FORMATS =====
+
+const renderRss = (feed, items, selfUrl) => {
+  const entries = items.map(item => [
+    '<item>',
+    element('title', item.title),
+    element('link', item.url),
+    element('guid', item.id, ' isPermaLink="false"'),
+    element('pubDate', item.publishedAt && item.publishedAt.toUTCString()),
+    ...item.authors.map(name => element('dc:creator', name)),
+    ...item.categories.map(name => element('category', name)),
+    element('description', item.summary),
+    element('content:encoded', item.html),
+    // RSS allows one enclosure per item
+    item.images.length > 0
+      ? `<enclosure url="${escapeXml(item.images[0].url)}" length="${item.images[0].size}" type="${escapeXml(item.images[0].type)}"/>`
+      : '',
+    '</item>'
+  ].join(''));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    '<channel>',
+    element('title', feed.title),
+    element('link', feed.link),
+    element('description', feed.description),
+    element('language', site.language),
+    element('lastBuildDate', feed.lastModified && feed.lastModified.toUTCString()),
+    `<atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml"/>`,
+    ...entries,
+    '</channel>',
+    '</rss>'
+  ].join('\n');
+};
+
+const renderAtom = (feed, items, selfUrl) => {
+  const entries = items.map(item => [
+    '<entry>',
+    element('id', item.id),
+    element('title', item.title, ' type="text"'),
+    `<link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>`,
+    element('published', item.publishedAt && item.publishedAt.toISOString()),
+    element('updated', item.updatedAt && item.updatedAt.toISOString()),
+    ...item.authors.map(name => `<author>${element('name', name)}</author>`),
+    ...item.categories.map(name => `<category term="${escapeXml(name)}"/>`),
+    element('summary', item.summary, ' type="text"'),
+    element('content', item.html, ' type="html"'),
+    ...item.images.map(image => {
+      return `<link rel="enclosure" href="${escapeXml(image.url)}" type="${escapeXml(image.type)}" length="${image.size}"/>`;
+    }),
+    '</entry>'
+  ].join(''));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(site.language)}">`,
+    element('id', selfUrl),
+    element('title', feed.title),
+    element('subtitle', feed.description),
+    element('updated', (feed.lastModified || new Date()).toISOString()),
+    `<link rel="alternate" type="text/html" href="${escapeXml(feed.link)}"/>`,
+    `<link rel="self" type="application/atom+xml" href="${escapeXml(selfUrl)}"/>`,
+    // Entries without authors fall back to the feed author
+    `<author>${element('name', site.title)}</author>`,
+    ...entries,
+    '</feed>'
+  ].join('\n');
+};
+
+const renderJsonFeed = (feed, items, selfUrl) => {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.link,
+    feed_url: selfUrl,
+    description: feed.description,
+    language: site.language,
+    items: items.map(item => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      // Every item needs content_html or content_text
+      ...(item.html != null ? { content_html: item.html } : { content_text: item.summary }),
+      summary: item.summary,
+      image: item.images.length > 0 ? item.images[0].url : undefined,
+      date_published: item.publishedAt ? item.publishedAt.toISOString() : undefined,
+      date_modified: item.updatedAt ? item.updatedAt.toISOString() : undefined,
+      authors: item.authors.length > 0 ? item.authors.map(name => ({ name })) : undefined,
+      tags: item.categories.length > 0 ? item.categories : undefined,
+      attachments: item.images.length > 0
+        ? item.images.map(image => ({
+          url: image.url,
+          mime_type: image.type,
+          size_in_bytes: image.size || undefined,
+          title: image.title || undefined
+        }))
+        : undefined
+    }))
+  });
+};
+
+const RENDERERS = { rss: renderRss, atom: renderAtom, json: renderJsonFeed };
+
+// Write a loaded feed in its format; selfUrl is the URL the feed is served at
+const renderFeed = async (feed, { selfUrl }) => {
+  const items = feed.posts.map(post => toItem(post, feed.images.get(post.id) || [], feed.content));
+  return RENDERERS[feed.format](feed, items, selfUrl);
+};
+
+module.exports = {
+  FEED_FORMATS,
+  CONTENT_MODES,
+  loadFeed,
+  renderFeed
+};
@@ -0,0 +1,228 @@
+// services/postSearch.js
+// Post filtering and faceted search.
+// buildPostFilter turns a PostFilter into a MongoDB filter; free text goes through the
+// post_text_search index, never through a regex. Category filters include subcategories.
+// search() returns a page of hits with highlighted title and snippet, plus facet counts
+// over every matching post.
+const mongoose = require('mongoose');
+const { UserInputError } = require('apollo-server-express');
+const Author = require('../models/Author');
+const Category = require('../models/Category');
+const Post = require('../models/Post');
+const Tag = require('../models/Tag');
+const { EDITOR_ROLES } = require('../middleware/auth');
+const { paginate, TEXT_SCORE_FIELD } = require('../utils/pagination');
+const { searchTerms, termPattern, highlight, snippet } = require('../utils/highlight');
+const { subtreeIds } = require('./categoryService');
+const { normalizeTagName, resolveTagNames, expandSearchAliases } = require('./tagService');
+
+const SEARCH_SORTS = {
+  relevance: { sortField: TEXT_SCORE_FIELD, direction: -1 },
+  newest: { sortField: 'publishedAt', direction: -1 },
+  oldest: { sortField: 'publishedAt', direction: 1 },
+  most_viewed: { sortField: 'viewCount', direction: -1 },
+  title: { sortField: 'title', direction: 1 }
+};
+// Values returned per tag and author facet
+const FACET_LIMIT = 50;
+
+const checkId = (id, name) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new UserInputError(`${name} must be a valid ID`);
+  }
+};
+
+// ===== FILTERS =====
+
+// Categories matched by categoryId and subcategoryId, each including its subcategories.
+// subcategoryId narrows categoryId down and must lie under it.
+const categoryFilterIds = async ({ categoryId, subcategoryId }) => {
+  if (categoryId) checkId(categoryId, 'categoryId');
+  if (!subcategoryId) return await subtreeIds(categoryId);
+
+  checkId(subcategoryId, 'subcategoryId');
+  if (categoryId) {
+    const subcategory = await Category.findById(subcategoryId).select('ancestors');
+    if (!subcategory || !subcategory.ancestors.some(id => id.equals(categoryId))) {
+      throw new UserInputError('subcategoryId must be a subcategory of categoryId');
+    }
+  }
+  return await subtreeIds(subcategoryId);
+};
+
+// MongoDB filter for a PostFilter input. With publishedOnly the status filter is ignored and
+// only posts that are live now match. Resolves to { filter, hasText }.
+const buildPostFilter = async (input = {}, { publishedOnly = false } = {}) => {
+  const filter = {};
+  const conditions = [];
+
+  const text = String(input.searchText || '').trim();
+  if (text) {
+    // Aliases in the query also search for their canonical tag name
+    filter.$text = { $search: await expandSearchAliases(text) };
+  }
+
+  if (input.categoryId || input.subcategoryId) {
+    conditions.push({ categories: { $in: await categoryFilterIds(input) } });
+  }
+
+  // Posts with any (default) or all of the given tags.
+  // Tag names may be aliases; they resolve to their canonical tag.
+  let tagIds = [...(input.tagIds || [])];
+  if (input.tags && input.tags.length > 0) {
+    if (input.tagMatch === 'ALL') {
+      // Each name on its own: an alias and its canonical name resolve to the same tag
+      const names = [...new Set(input.tags.map(normalizeTagName).filter(Boolean))];
+      const resolved = await Promise.all(names.map(name => Tag.findByNameOrAlias(name).select('_id')));
+      if (resolved.some(tag => !tag)) {
+        // An unknown tag can never be matched
+        conditions.push({ _id: { $in: [] } });
+      }
+      tagIds.push(...resolved.filter(Boolean).map(tag => tag._id));
+    } else {
+      tagIds.push(...(await resolveTagNames(input.tags)));
+    }
+  }
+  if (tagIds.length > 0) {
+    tagIds = [...new Map(tagIds.map(id => [String(id), id])).values()];
+    conditions.push({ tags: input.tagMatch === 'ALL' ? { $all: tagIds } : { $in: tagIds } });
+  }
+
+  if (input.status && !publishedOnly) {
+    conditions.push({ status: input.status });
+  }
+  if (input.publishedAfter || input.publishedBefore) {
+    const range = {};
+    if (input.publishedAfter) range.$gte = new Date(input.publishedAfter);
+    if (input.publishedBefore) range.$lte = new Date(input.publishedBefore);
+    conditions.push({ publishedAt: range });
+  }
+  if (publishedOnly) {
+    conditions.push(Post.publishedQuery());
+  }
+
+  if (conditions.length > 0) {
+    filter.$and = conditions;
+  }
+  return { filter, hasText: Boolean(filter.$text) };
+};
+
+// ===== FACETS =====
+
+const MONTH_FORMAT = new Intl.DateTimeFormat('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+// Count values of an array field, most common first
+const countArrayField = (field, limit) => {
+  const stages = [
+    { $unwind: `$${field}` },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } }
+  ];
+  return limit ? [...stages, { $limit: limit }] : stages;
+};
+
+// Attach display names to facet counts of referenced documents
+const labelFacet = async (Model, counts, nameField) => {
+  const documents = await Model.find({ _id: { $in: counts.map(count => count._id) } }).select(nameField);
+  const names = new Map(documents.map(document => [document.id, document[nameField]]));
+  return counts
+    .filter(count => names.has(String(count._id)))
+    .map(count => ({ value: String(count._id), label: names.get(String(count._id)), count: count.count }));
+};
+
+// Facet counts over every post matching the filter. A post counts towards each of its categories
+// and their ancestors, once per category.
+const searchFacets = async (filter) => {
+  const [facets] = await Post.aggregate([
+    { $match: Post.find().cast(Post, { ...filter }) },
+    {
+      $facet: {
+        categories: [
+          { $lookup: { from: Category.collection.name, localField: 'categories', foreignField: '_id', as: 'categoryDocs' } },
+          {
+            $project: {
+              rollup: {
+                $setUnion: [
+                  '$categories',
+                  { $reduce: { input: '$categoryDocs.ancestors', initialValue: [], in: { $concatArrays: ['$$value', '$$this'] } } }
+                ]
+              }
+            }
+          },
+          ...countArrayField('rollup')
+        ],
+        tags: countArrayField('tags', FACET_LIMIT),
+        authors: countArrayField('authors', FACET_LIMIT),
+        statuses: [
+          { $group: { _id: '$status', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } }
+        ],
+        publishMonths: [
+          { $match: { publishedAt: { $ne: null } } },
+          { $group: { _id: { $dateToString: { format: '%Y-%m', date: '$publishedAt' } }, count: { $sum: 1 } } },
+          { $sort: { _id: -1 } }
+        ]
+      }
+    }
+  ]);
+
+  return {
+    categories: await labelFacet(Category, facets.categories, 'name'),
+    tags: await labelFacet(Tag, facets.tags, 'name'),
+    authors: await labelFacet(Author, facets.authors, 'displayName'),
+    statuses: facets.statuses.map(({ _id, count }) => ({ value: _id, label: _id, count })),
+    publishMonths: facets.publishMonths.map(({ _id, count }) => ({
+      value: _id,
+      label: MONTH_FORMAT.format(new Date(`${_id}-01T00:00:00Z`)),
+      count
+    }))
+  };
+};
+
+// ===== SEARCH =====
+
+// Search posts. Readers only find published posts; editors can search and filter every status.
+// query is the text to search for (falls back to filter.searchText). Sorting defaults to
+// relevance with a query and to newest first without one.
+const search = async ({ query, filter = {}, sort, first, after } = {}, { user } = {}) => {
+  const isEditor = Boolean(user && EDITOR_ROLES.includes(user.role));
+  const text = query || filter.searchText;
+  const { filter: match, hasText } = await buildPostFilter({ ...filter, searchText: text }, { publishedOnly: !isEditor });
+
+  const order = SEARCH_SORTS[sort || (hasText ? 'relevance' : 'newest')];
+  if (!order) {
+    throw new UserInputError(`sort must be one of: ${Object.keys(SEARCH_SORTS).join(', ')}`);
+  }
+  if (order.sortField === TEXT_SCORE_FIELD && !hasText) {
+    throw new UserInputError('RELEVANCE sorting is only available with a search query');
+  }
+
+  const pattern = termPattern(hasText ? searchTerms(text) : []);
+  const connection = await paginate(Post, {
+    filter: match,
+    ...order,
+    args: { first, after },
+    toNode: (row) => {
+      const post = Post.hydrate(row);
+      return {
+        post,
+        score: hasText ? row[TEXT_SCORE_FIELD] : null,
+        titleHighlight: highlight(row.title, pattern),
+        snippet: snippet(post.renderedContent().text, pattern)
+      };
+    }
+  });
+
+  return {
+    ...connection,
+    // Resolved lazily, only when the client selects facets
+    facets: () => searchFacets(match)
+  };
+};
+
+module.exports = {
+  SEARCH_SORTS,
+  buildPostFilter,
+  searchFacets,
+  search
+};
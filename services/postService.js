@@ -0,0 +1,90 @@
+// services/postService.js
+// Creating, updating and deleting posts, shared by the GraphQL mutations and the REST API.
+// Each write runs in one transaction together with the tag usage counts, the revision history,
+// publishing stats and the records that hang off a post. Callers authenticate the user;
+// the functions check that the user may edit or delete the post.
+const { ForbiddenError } = require('apollo-server-express');
+const Post = require('../models/Post');
+const Author = require('../models/Author');
+const PostRevision = require('../models/PostRevision');
+const Comment = require('../models/Comment');
+const Reaction = require('../models/Reaction');
+const { canEditPost, canDeletePost } = require('../middleware/auth');
+const { withTransaction } = require('../utils/transaction');
+const { transitionToStatus } = require('./workflow');
+const { savePostVersion } = require('./postVersions');
+const { resolveTagIds, syncTagUsage } = require('./tagService');
+const { invalidateRelatedPosts } = require('./relatedPosts');
+const { isBeingPublished, recordPublish } = require('./analytics');
+
+const createPost = async ({ status, tags, ...fields }, user) => {
+  // Default the byline to the creator's own author profile
+  let authors = fields.authors;
+  if (!authors || authors.length === 0) {
+    const profile = await Author.findOne({ user: user._id });
+    authors = profile ? [profile._id] : [];
+  }
+
+  // Every post starts as a draft; any other requested status goes through the workflow
+  return await withTransaction(async (session) => {
+    const post = new Post({ ...fields, authors, status: 'draft', createdBy: user._id });
+    post.tags = await resolveTagIds(tags, { session });
+    if (status) {
+      transitionToStatus(post, status, user);
+    }
+    const publishing = isBeingPublished(post);
+    await post.save({ session });
+    await syncTagUsage([], post.tags, { session });
+    await PostRevision.record(post, user._id, { session });
+    if (publishing) {
+      await recordPublish(post, { session });
+    }
+    return post;
+  });
+};
+
+// Resolves to the updated post, or null when there is no such post
+const updatePost = (id, { status, tags, ...updates }, user, { expectedVersion } = {}) => withTransaction(async (session) => {
+  const post = await Post.findById(id).session(session);
+  if (!post) return null;
+  if (!canEditPost(user, post)) {
+    throw new ForbiddenError('You can only edit your own posts');
+  }
+
+  const previousTags = [...post.tags];
+  post.set(updates);
+  if (tags) {
+    post.tags = await resolveTagIds(tags, { session });
+  }
+  if (status) {
+    transitionToStatus(post, status, user);
+  }
+  await savePostVersion(post, user._id, { expectedVersion, session });
+  await syncTagUsage(previousTags, post.tags, { session });
+  return post;
+});
+
+// Delete a post with its comments and reactions; resolves to false when there is no such post
+const deletePost = async (id, user) => {
+  const post = await Post.findById(id);
+  if (!post) return false;
+  if (!canDeletePost(user, post)) {
+    throw new ForbiddenError('You can only delete your own posts');
+  }
+
+  return await withTransaction(async (session) => {
+    const deleted = await Post.findByIdAndDelete(id, { session });
+    if (!deleted) return false;
+    await syncTagUsage(deleted.tags, [], { session });
+    await Comment.deleteMany({ post: deleted._id }, { session });
+    await Reaction.deleteMany({ post: deleted._id }, { session });
+    await invalidateRelatedPosts([deleted._id], { session });
+    return true;
+  });
+};
+
+module.exports = {
+  createPost,
+  updatePost,
+  deletePost
+};
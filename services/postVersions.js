@@ -0,0 +1,48 @@
+// services/postVersions.js
+// Saves a new version of a post: checks the caller's expected version, guards the write
+// against concurrent saves and snapshots the result into the revision history.
+const Post = require('../models/Post');
+const PostRevision = require('../models/PostRevision');
+const { ConflictError } = require('../graphql/errors');
+const { saveIfVersion } = require('../utils/concurrency');
+const { isBeingPublished, recordPublish } = require('./analytics');
+const { isTaxonomyChanged, invalidateRelatedPosts } = require('./relatedPosts');
+
+const buildPostConflict = async (postId, expectedVersion) => {
+  const current = await Post.findById(postId);
+  const currentVersion = current ? current.version : null;
+  const changedFields = current ? await PostRevision.changedFieldsSince(current, expectedVersion) : [];
+
+  return new ConflictError(
+    `Post was modified by someone else (version ${currentVersion}, you have ${expectedVersion})`,
+    { currentVersion, expectedVersion, changedFields }
+  );
+};
+
+// Pass expectedVersion to reject the save when the client edited an older version,
+// and session to make the save part of a transaction
+const savePostVersion = async (post, editorId, { expectedVersion, restoredFrom, session } = {}) => {
+  const loadedVersion = post.version;
+  if (expectedVersion !== undefined && expectedVersion !== null && expectedVersion !== loadedVersion) {
+    throw await buildPostConflict(post._id, expectedVersion);
+  }
+
+  const publishing = isBeingPublished(post);
+  const taxonomyChanged = isTaxonomyChanged(post);
+  post.version = loadedVersion + 1;
+  const saved = await saveIfVersion(post, loadedVersion, { session });
+  if (!saved) {
+    throw await buildPostConflict(post._id, expectedVersion ?? loadedVersion);
+  }
+
+  await PostRevision.record(post, editorId, { restoredFrom, session });
+  if (publishing) {
+    await recordPublish(post, { session });
+  }
+  if (taxonomyChanged) {
+    await invalidateRelatedPosts([post._id], { session });
+  }
+  return post;
+};
+
+module.exports = { savePostVersion, buildPostConflict };
@@ -0,0 +1,192 @@
+// services/relatedPosts.js
+// Related posts for the bottom of an article.
+// Other published posts are scored by shared categories (a post in the same category counts
+// more than one elsewhere in the same branch of the category tree), shared tags, text
+// similarity through the post_text_search index and recency. The best matches are cached per
+// post in RelatedPostsCache; posts pinned by editors always come first.
+const { UserInputError } = require('apollo-server-express');
+const Category = require('../models/Category');
+const Post = require('../models/Post');
+const RelatedPostsCache = require('../models/RelatedPostsCache');
+const Tag = require('../models/Tag');
+
+const WEIGHTS = {
+  // Per category the two posts share
+  sameCategory: 3,
+  // Per category in the same branch: a parent, child or sibling of one of the post's categories
+  relatedCategory: 1,
+  // Per shared tag
+  tag: 2,
+  // For the best text match; other matches get a share relative to it
+  text: 4,
+  // For a post published today, halving every RECENCY_HALF_LIFE_DAYS
+  recency: 1
+};
+const RECENCY_HALF_LIFE_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Posts considered per source (taxonomy matches, text matches)
+const TAXONOMY_CANDIDATES = 200;
+const TEXT_CANDIDATES = 50;
+// Related posts kept per cache entry; relatedPosts(limit) cannot ask for more
+const MAX_RELATED = 20;
+const MAX_PINNED = 10;
+const CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+
+// ===== SCORING =====
+
+// The post's categories with their ancestors (its lineage), and every category in those branches
+// mapped to its own path, so candidates in parent, child and sibling categories can be recognized
+const loadCategoryBranches = async (categoryIds) => {
+  const own = await Category.find({ _id: { $in: categoryIds } }).select('ancestors');
+  const lineage = new Set(own.flatMap(category => [category.id, ...category.ancestors.map(String)]));
+  if (lineage.size === 0) return { lineage, paths: new Map() };
+
+  const ids = [...lineage];
+  const branch = await Category.find({ $or: [{ _id: { $in: ids } }, { ancestors: { $in: ids } }] }).select('ancestors');
+  const paths = new Map(branch.map(category => [category.id, [category.id, ...category.ancestors.map(String)]]));
+  return { lineage, paths };
+};
+
+// Compute the related post IDs of a post, best match first
+const computeRelated = async (post) => {
+  const now = new Date();
+  const ownCategories = new Set((post.categories || []).map(String));
+  const ownTags = new Set((post.tags || []).map(String));
+  const { lineage, paths } = await loadCategoryBranches([...ownCategories]);
+
+  const candidates = new Map();
+  const addCandidate = (candidate, textScore = 0) => {
+    const id = String(candidate._id);
+    const entry = candidates.get(id) || { post: candidate, textScore: 0 };
+    entry.textScore = Math.max(entry.textScore, textScore);
+    candidates.set(id, entry);
+  };
+
+  const taxonomy = [];
+  if (paths.size > 0) taxonomy.push({ categories: { $in: [...paths.keys()] } });
+  if (ownTags.size > 0) taxonomy.push({ tags: { $in: [...ownTags] } });
+  if (taxonomy.length > 0) {
+    const matches = await Post.find({ $and: [Post.publishedQuery(now), { _id: { $ne: post._id } }, { $or: taxonomy }] })
+      .select('categories tags publishedAt')
+      .sort({ publishedAt: -1 })
+      .limit(TAXONOMY_CANDIDATES)
+      .lean();
+    matches.forEach(match => addCandidate(match));
+  }
+
+  // Search with the title and tag names
+  const tags = ownTags.size > 0 ? await Tag.find({ _id: { $in: [...ownTags] } }).select('name') : [];
+  const search = [post.title, ...tags.map(tag => tag.name)].filter(Boolean).join(' ');
+  if (search) {
+    const matches = await Post.find(
+      { $text: { $search: search }, ...Post.publishedQuery(now), _id: { $ne: post._id } },
+      { score: { $meta: 'textScore' }, categories: 1, tags: 1, publishedAt: 1 }
+    )
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(TEXT_CANDIDATES)
+      .lean();
+    const best = matches.length > 0 ? matches[0].score : 0;
+    matches.forEach(match => addCandidate(match, match.score / best));
+  }
+
+  const scored = [];
+  for (const [id, { post: candidate, textScore }] of candidates) {
+    let score = textScore * WEIGHTS.text;
+    for (const categoryId of (candidate.categories || []).map(String)) {
+      if (ownCategories.has(categoryId)) {
+        score += WEIGHTS.sameCategory;
+      } else if ((paths.get(categoryId) || []).some(pathId => lineage.has(pathId))) {
+        score += WEIGHTS.relatedCategory;
+      }
+    }
+    score += (candidate.tags || []).filter(tagId => ownTags.has(String(tagId))).length * WEIGHTS.tag;
+    if (score === 0) continue;
+
+    const ageDays = Math.max(0, (now - candidate.publishedAt) / DAY_MS);
+    score += WEIGHTS.recency * Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+    scored.push({ id, score, publishedAt: candidate.publishedAt });
+  }
+
+  return scored
+    .sort((a, b) => b.score - a.score || b.publishedAt - a.publishedAt)
+    .slice(0, MAX_RELATED)
+    .map(entry => entry.id);
+};
+
+// ===== CACHE =====
+
+// Related post IDs from the cache, computing and caching them when missing or expired
+const cachedRelated = async (post) => {
+  const entry = await RelatedPostsCache.findOne({ _id: post._id, expiresAt: { $gt: new Date() } });
+  if (entry) return entry.related.map(String);
+
+  const related = await computeRelated(post);
+  const now = new Date();
+  await RelatedPostsCache.updateOne(
+    { _id: post._id },
+    { $set: { related, computedAt: now, expiresAt: new Date(now.getTime() + CACHE_TTL_MS) } },
+    { upsert: true }
+  );
+  return related;
+};
+
+// Drop the cache entries of the given posts and every entry that lists one of them, after the
+// posts' categories or tags changed
+const invalidateRelatedPosts = async (postIds, { session } = {}) => {
+  const ids = [...postIds];
+  if (ids.length === 0) return;
+  await RelatedPostsCache.deleteMany({ $or: [{ _id: { $in: ids } }, { related: { $in: ids } }] }, { session });
+};
+
+// Whether saving the post changes its taxonomy; check before saving
+const isTaxonomyChanged = (post) => post.isModified('categories') || post.isModified('tags');
+
+// ===== OPERATIONS =====
+
+// Published related posts of a post: the pinned ones in their order, then the best matches
+const relatedPosts = async (post, { limit = 5 } = {}) => {
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RELATED) {
+    throw new UserInputError(`limit must be an integer between 1 and ${MAX_RELATED}`);
+  }
+
+  const postId = String(post._id);
+  const pinned = (post.pinnedRelatedPosts || []).map(String);
+  const ids = [...new Set([...pinned, ...(await cachedRelated(post))])].filter(id => id !== postId);
+
+  const posts = await Post.find({ _id: { $in: ids }, ...Post.publishedQuery() });
+  const byId = new Map(posts.map(related => [related.id, related]));
+  return ids
+    .map(id => byId.get(id))
+    .filter(Boolean)
+    .slice(0, limit);
+};
+
+// Replace the pinned related posts of a post (editors only, checked by the caller).
+// The caller saves the post, as a new version like any other edit.
+const pinRelatedPosts = async (post, relatedIds) => {
+  const ids = [...new Set(relatedIds.map(String))];
+  if (ids.length > MAX_PINNED) {
+    throw new UserInputError(`A post can have at most ${MAX_PINNED} pinned related posts`);
+  }
+  if (ids.includes(post.id)) {
+    throw new UserInputError('A post cannot be related to itself');
+  }
+  const found = await Post.countDocuments({ _id: { $in: ids } });
+  if (found !== ids.length) {
+    throw new UserInputError('One or more related posts were not found');
+  }
+
+  post.pinnedRelatedPosts = ids;
+  return post;
+};
+
+module.exports = {
+  MAX_RELATED,
+  MAX_PINNED,
+  computeRelated,
+  invalidateRelatedPosts,
+  isTaxonomyChanged,
+  relatedPosts,
+  pinRelatedPosts
+};
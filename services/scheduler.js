@@ -0,0 +1,112 @@
+// services/scheduler.js
+// In-process scheduler that publishes scheduled posts and unpublishes expired ones.
+// Every instance runs the loop, but only the holder of the MongoDB lease does the work,
+// so running several server instances never flips the same post twice.
+const os = require('os');
+const crypto = require('crypto');
+const logger = require('../config/logger');
+const Lease = require('../models/Lease');
+const Post = require('../models/Post');
+const { savePostVersion } = require('./postVersions');
+const { applyTransition } = require('./workflow');
+
+const LEASE_NAME = 'post-scheduler';
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+// Posts handled per query so a large backlog does not load everything at once
+const BATCH_SIZE = 100;
+
+let timer = null;
+let running = false;
+
+// Apply a status change to each due post, recording a revision per post
+async function flipDuePosts(query, apply, label) {
+  let processed = 0;
+  let batch;
+
+  do {
+    batch = await Post.find(query).sort({ _id: 1 }).limit(BATCH_SIZE);
+    for (const post of batch) {
+      try {
+        apply(post);
+        await savePostVersion(post, null);
+        processed++;
+      } catch (error) {
+        logger.error(`Scheduler failed to ${label} post ${post.id}:`, error);
+      }
+    }
+    // Move past this batch so posts that failed are not retried in the same run
+    if (batch.length > 0) {
+      query = { ...query, _id: { $gt: batch[batch.length - 1]._id } };
+    }
+  } while (batch.length === BATCH_SIZE);
+
+  return processed;
+}
+
+// Run one scheduler pass; returns what was done, or null when another instance holds the lease
+async function runScheduledJobs(ttlMs) {
+  const hasLease = await Lease.acquire(LEASE_NAME, INSTANCE_ID, ttlMs);
+  if (!hasLease) return null;
+
+  const now = new Date();
+
+  const published = await flipDuePosts(
+    { status: 'scheduled', scheduledFor: { $lte: now } },
+    (post) => {
+      post.publishedAt = post.scheduledFor;
+      applyTransition(post, 'publish', null, { system: true, comment: 'Published on schedule' });
+    },
+    'publish'
+  );
+
+  const unpublished = await flipDuePosts(
+    { status: 'published', unpublishAt: { $lte: now } },
+    (post) => {
+      applyTransition(post, 'archive', null, { system: true, comment: 'Unpublished on schedule' });
+    },
+    'unpublish'
+  );
+
+  if (published || unpublished) {
+    logger.info('Scheduler run completed', { published, unpublished });
+  }
+  return { published, unpublished };
+}
+
+function startScheduler(options = {}) {
+  if (timer) return;
+
+  const intervalMs = options.intervalMs || parseInt(process.env.SCHEDULER_INTERVAL_MS, 10) || 30000;
+  // The lease outlives a couple of missed ticks before another instance may take over
+  const ttlMs = Math.max(intervalMs * 3, 60000);
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runScheduledJobs(ttlMs);
+    } catch (error) {
+      logger.error('Scheduler run failed:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  timer = setInterval(tick, intervalMs);
+  // Do not keep the process alive just for the scheduler
+  timer.unref();
+  logger.info(`Post scheduler started (instance ${INSTANCE_ID}, every ${intervalMs}ms)`);
+}
+
+async function stopScheduler() {
+  if (!timer) return;
+  clearInterval(timer);
+  timer = null;
+  await Lease.release(LEASE_NAME, INSTANCE_ID);
+}
+
+module.exports = {
+  startScheduler,
+  stopScheduler,
+  runScheduledJobs
+};
@@ -0,0 +1,75 @@
+// services/search/analyzer.js
+// Text analysis for the search index: splits text into words, drops the stop words of the
+// language, stems what is left and folds diacritics, so "Running" and "runs" both become "run".
+// Languages without a stemmer are only lowercased and folded.
+const snowball = require('snowball-stemmers');
+const stopword = require('stopword');
+
+// ISO 639-1 code -> Snowball algorithm and stopword list
+const LANGUAGES = {
+  ar: { stemmer: 'arabic', stopwords: 'ara' },
+  ca: { stemmer: 'catalan', stopwords: 'cat' },
+  cs: { stemmer: 'czech', stopwords: 'ces' },
+  da: { stemmer: 'danish', stopwords: 'dan' },
+  de: { stemmer: 'german', stopwords: 'deu' },
+  en: { stemmer: 'english', stopwords: 'eng' },
+  es: { stemmer: 'spanish', stopwords: 'spa' },
+  eu: { stemmer: 'basque', stopwords: 'eus' },
+  fi: { stemmer: 'finnish', stopwords: 'fin' },
+  fr: { stemmer: 'french', stopwords: 'fra' },
+  ga: { stemmer: 'irish', stopwords: 'gle' },
+  hu: { stemmer: 'hungarian', stopwords: 'hun' },
+  hy: { stemmer: 'armenian', stopwords: 'hye' },
+  it: { stemmer: 'italian', stopwords: 'ita' },
+  nb: { stemmer: 'norwegian', stopwords: 'nob' },
+  nl: { stemmer: 'dutch', stopwords: 'nld' },
+  no: { stemmer: 'norwegian', stopwords: 'nob' },
+  pt: { stemmer: 'portuguese', stopwords: 'por' },
+  ro: { stemmer: 'romanian', stopwords: 'ron' },
+  ru: { stemmer: 'russian', stopwords: 'rus' },
+  sl: { stemmer: 'slovene', stopwords: 'slv' },
+  sv: { stemmer: 'swedish', stopwords: 'swe' },
+  tr: { stemmer: 'turkish', stopwords: 'tur' }
+};
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// Analyzers are built on first use and shared
+const analyzers = new Map();
+
+const fold = (word) => word.normalize('NFKD').replace(/\p{M}/gu, '');
+
+// Lowercased words of a text, diacritics folded; used for prefixes and suggestions
+const words = (text) => (String(text || '').toLowerCase().match(WORD_PATTERN) || []).map(fold);
+
+const getAnalyzer = (language) => {
+  const code = String(language || '').toLowerCase();
+  if (!analyzers.has(code)) {
+    const settings = LANGUAGES[code];
+    analyzers.set(code, {
+      stemmer: settings ? snowball.newStemmer(settings.stemmer) : null,
+      stopwords: new Set(settings ? stopword[settings.stopwords] : [])
+    });
+  }
+  return analyzers.get(code);
+};
+
+// Index terms of a text in the given language, in order (repeats kept for term frequencies)
+const analyze = (text, language) => {
+  const { stemmer, stopwords } = getAnalyzer(language);
+  const terms = [];
+  for (const word of String(text || '').toLowerCase().match(WORD_PATTERN) || []) {
+    if (stopwords.has(word)) continue;
+    terms.push(fold(stemmer ? stemmer.stem(word) : word));
+  }
+  return terms;
+};
+
+const isSupportedLanguage = (language) => Object.prototype.hasOwnProperty.call(LANGUAGES, language);
+
+module.exports = {
+  LANGUAGES,
+  words,
+  analyze,
+  isSupportedLanguage
+};
@@ -0,0 +1,217 @@
+// services/search/index.js
+// Pluggable search over published posts.
+// The backend is chosen with SEARCH_BACKEND (config/search.js); 'memory' is the built-in
+// in-process index. Other engines register a factory with registerSearchBackend and implement
+// the same asynchronous interface:
+//   indexPost(document)         add or replace a post (see toSearchDocuments for the shape)
+//   removePost(id)
+//   search(query, { language, limit })  -> [{ id, score }], best first
+//   suggest(prefix, { limit })          -> [{ text, type: 'post' | 'tag' | 'category', id }]
+//   ids()                       IDs of every indexed post
+//   count()
+// The index follows saves and deletes of posts, and saves of tags and categories (utils/events.js). Each instance also syncs
+// periodically, to pick up changes made by other server instances and by bulk updates.
+const logger = require('../../config/logger');
+const settings = require('../../config/search');
+const Category = require('../../models/Category');
+const Post = require('../../models/Post');
+const Tag = require('../../models/Tag');
+const { events } = require('../../utils/events');
+const { MemorySearchBackend } = require('./memoryBackend');
+
+const BATCH_SIZE = 200;
+// Hits returned per query; searches are paginated within these
+const MAX_HITS = 500;
+
+const factories = new Map([
+  ['memory', () => new MemorySearchBackend()]
+]);
+
+let backend = null;
+let lastSyncAt = null;
+let timer = null;
+let syncing = false;
+
+const registerSearchBackend = (name, factory) => {
+  factories.set(name, factory);
+};
+
+const createBackend = () => {
+  const factory = factories.get(settings.backend);
+  if (!factory) {
+    throw new Error(`Unknown search backend: ${settings.backend}`);
+  }
+  return factory();
+};
+
+const getSearchBackend = () => {
+  if (!backend) backend = createBackend();
+  return backend;
+};
+
+// ===== DOCUMENTS =====
+
+// Search documents for posts, with tag and category names loaded in one query each.
+// Tag aliases are indexed too, so searching for an alias finds posts with the tag.
+const toSearchDocuments = async (posts) => {
+  const tagIds = [...new Set(posts.flatMap(post => (post.tags || []).map(String)))];
+  const categoryIds = [...new Set(posts.flatMap(post => (post.categories || []).map(String)))];
+  const [tags, categories] = await Promise.all([
+    tagIds.length > 0 ? Tag.find({ _id: { $in: tagIds } }).select('name aliases') : [],
+    categoryIds.length > 0 ? Category.find({ _id: { $in: categoryIds } }).select('name') : []
+  ]);
+  const tagsById = new Map(tags.map(tag => [tag.id, { id: tag.id, name: tag.name, aliases: tag.aliases || [] }]));
+  const categoriesById = new Map(categories.map(category => [category.id, { id: category.id, name: category.name }]));
+
+  return posts.map(post => ({
+    id: post.id,
+    language: post.language || settings.defaultLanguage,
+    title: post.title,
+    text: post.renderedContent().text,
+    tags: (post.tags || []).map(id => tagsById.get(String(id))).filter(Boolean),
+    categories: (post.categories || []).map(id => categoriesById.get(String(id))).filter(Boolean),
+    publishedAt: post.publishedAt
+  }));
+};
+
+const indexPosts = async (target, posts) => {
+  for (const document of await toSearchDocuments(posts)) {
+    await target.indexPost(document);
+  }
+};
+
+// Index a post if it is live, otherwise make sure it is not in the index
+const refreshPost = async (postId) => {
+  const post = await Post.findOne({ _id: postId, ...Post.publishedQuery() });
+  if (post) {
+    await indexPosts(getSearchBackend(), [post]);
+  } else {
+    await getSearchBackend().removePost(String(postId));
+  }
+};
+
+// Reindex the live posts of a tag or category, whose name may have changed
+const refreshPostsWith = async (field, id) => {
+  const posts = await Post.find({ [field]: id, ...Post.publishedQuery() });
+  await indexPosts(getSearchBackend(), posts);
+};
+
+// ===== REBUILD AND SYNC =====
+
+// Index every live post into a fresh backend and swap it in; resolves to the number of posts indexed
+const rebuildSearchIndex = async () => {
+  const startedAt = new Date();
+  const target = createBackend();
+  let indexed = 0;
+  let batch;
+  let query = Post.publishedQuery(startedAt);
+
+  do {
+    batch = await Post.find(query).sort({ _id: 1 }).limit(BATCH_SIZE);
+    await indexPosts(target, batch);
+    indexed += batch.length;
+    if (batch.length > 0) {
+      query = { ...Post.publishedQuery(startedAt), _id: { $gt: batch[batch.length - 1]._id } };
+    }
+  } while (batch.length === BATCH_SIZE);
+
+  backend = target;
+  lastSyncAt = startedAt;
+  logger.info(`Search index rebuilt with ${indexed} posts`);
+  return indexed;
+};
+
+// Drop posts that are no longer live and index posts changed since the last sync or missing
+const syncSearchIndex = async () => {
+  if (!lastSyncAt) return await rebuildSearchIndex();
+
+  const startedAt = new Date();
+  const target = getSearchBackend();
+  const live = new Set((await Post.distinct('_id', Post.publishedQuery(startedAt))).map(String));
+  const indexed = new Set(await target.ids());
+
+  for (const id of indexed) {
+    if (!live.has(id)) await target.removePost(id);
+  }
+  const missing = [...live].filter(id => !indexed.has(id));
+  const changed = await Post.find({
+    ...Post.publishedQuery(startedAt),
+    $and: [{ $or: [{ updatedAt: { $gt: lastSyncAt } }, { _id: { $in: missing } }] }]
+  });
+  await indexPosts(target, changed);
+
+  lastSyncAt = startedAt;
+  return changed.length;
+};
+
+const onPostChanged = (postId) => {
+  refreshPost(postId).catch(error => logger.error(`Updating the search index for post ${postId} failed:`, error));
+};
+
+const onTagChanged = (tagId) => {
+  refreshPostsWith('tags', tagId).catch(error => logger.error(`Updating the search index for tag ${tagId} failed:`, error));
+};
+
+const onCategoryChanged = (categoryId) => {
+  refreshPostsWith('categories', categoryId)
+    .catch(error => logger.error(`Updating the search index for category ${categoryId} failed:`, error));
+};
+
+// Build the index, follow post changes and sync every SEARCH_SYNC_INTERVAL_MS
+const startSearchIndex = (options = {}) => {
+  if (timer) return;
+
+  const intervalMs = options.intervalMs || settings.syncIntervalMs;
+  events.on('post:changed', onPostChanged);
+  events.on('tag:changed', onTagChanged);
+  events.on('category:changed', onCategoryChanged);
+
+  const tick = async () => {
+    if (syncing) return;
+    syncing = true;
+    try {
+      await syncSearchIndex();
+    } catch (error) {
+      logger.error('Search index sync failed:', error);
+    } finally {
+      syncing = false;
+    }
+  };
+
+  timer = setInterval(tick, intervalMs);
+  // Do not keep the process alive just for the sync
+  timer.unref();
+  tick();
+  logger.info(`Search index started (${settings.backend} backend, syncing every ${intervalMs}ms)`);
+};
+
+const stopSearchIndex = () => {
+  if (!timer) return;
+  clearInterval(timer);
+  timer = null;
+  events.off('post:changed', onPostChanged);
+  events.off('tag:changed', onTagChanged);
+  events.off('category:changed', onCategoryChanged);
+};
+
+// ===== QUERIES =====
+
+const searchPostIds = (query, { language, limit = MAX_HITS } = {}) => {
+  return getSearchBackend().search(query, { language: language || settings.defaultLanguage, limit });
+};
+
+const searchSuggestions = (prefix, { limit } = {}) => getSearchBackend().suggest(prefix, { limit });
+
+module.exports = {
+  MAX_HITS,
+  registerSearchBackend,
+  getSearchBackend,
+  toSearchDocuments,
+  refreshPost,
+  rebuildSearchIndex,
+  syncSearchIndex,
+  startSearchIndex,
+  stopSearchIndex,
+  searchPostIds,
+  searchSuggestions
+};
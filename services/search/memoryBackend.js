@@ -0,0 +1,218 @@
+// services/search/memoryBackend.js
+// The built-in search backend: an inverted index held in process memory.
+// Terms come from services/search/analyzer.js and are ranked with BM25, weighted by field.
+// A query term also matches index terms within one or two typos and, for the word being
+// typed last, terms it is a prefix of. Documents matching more of the query terms rank higher.
+// Lookups scan the vocabulary, which is fine for a blog-sized index.
+const { analyze, words } = require('./analyzer');
+
+// Weight of a term occurrence per field
+const FIELD_WEIGHTS = { title: 3, tags: 2, categories: 1.5, text: 1 };
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+// Score factors for terms that are not an exact match
+const PREFIX_FACTOR = 0.8;
+const TYPO_FACTORS = [1, 0.6, 0.35];
+// Index terms a single query term may expand to
+const MAX_EXPANSIONS = 50;
+const MIN_PREFIX_LENGTH = 2;
+
+// Typos allowed for a term of the given length
+const maxTypos = (length) => {
+  if (length < 4) return 0;
+  return length < 8 ? 1 : 2;
+};
+
+// Levenshtein distance, or max + 1 as soon as it is known to exceed max
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+class MemorySearchBackend {
+  constructor() {
+    // postId -> { id, length, terms: Map(term -> weighted frequency), suggestions: [keys] }
+    this.documents = new Map();
+    // term -> Map(postId -> weighted frequency)
+    this.postings = new Map();
+    // `${type}:${id}` -> { text, type, id, words, refs }
+    this.suggestions = new Map();
+    this.totalLength = 0;
+  }
+
+  // ===== INDEXING =====
+
+  // document: { id, language, title, text, tags: [{ id, name, aliases }], categories: [{ id, name }] }
+  async indexPost(document) {
+    await this.removePost(document.id);
+
+    const terms = new Map();
+    let length = 0;
+    const addField = (text, weight) => {
+      for (const term of analyze(text, document.language)) {
+        terms.set(term, (terms.get(term) || 0) + weight);
+        length++;
+      }
+    };
+    addField(document.title, FIELD_WEIGHTS.title);
+    document.tags.forEach(tag => [tag.name, ...(tag.aliases || [])].forEach(name => addField(name, FIELD_WEIGHTS.tags)));
+    document.categories.forEach(category => addField(category.name, FIELD_WEIGHTS.categories));
+    addField(document.text, FIELD_WEIGHTS.text);
+
+    for (const [term, frequency] of terms) {
+      if (!this.postings.has(term)) this.postings.set(term, new Map());
+      this.postings.get(term).set(document.id, frequency);
+    }
+
+    const suggestions = [
+      this.addSuggestion('post', document.id, document.title),
+      ...document.tags.map(tag => this.addSuggestion('tag', tag.id, tag.name)),
+      ...document.categories.map(category => this.addSuggestion('category', category.id, category.name))
+    ];
+
+    this.documents.set(document.id, { id: document.id, length, terms, suggestions });
+    this.totalLength += length;
+  }
+
+  async removePost(id) {
+    const document = this.documents.get(id);
+    if (!document) return;
+
+    for (const term of document.terms.keys()) {
+      const posting = this.postings.get(term);
+      posting.delete(id);
+      if (posting.size === 0) this.postings.delete(term);
+    }
+    document.suggestions.forEach(key => this.removeSuggestion(key));
+
+    this.documents.delete(id);
+    this.totalLength -= document.length;
+  }
+
+  async ids() {
+    return [...this.documents.keys()];
+  }
+
+  async count() {
+    return this.documents.size;
+  }
+
+  // Suggestions are reference counted: a tag stays while any indexed post uses it.
+  // The latest text wins, so renamed tags and categories show their new name.
+  addSuggestion(type, id, text) {
+    const key = `${type}:${id}`;
+    const entry = this.suggestions.get(key) || { type, id, refs: 0 };
+    entry.text = text;
+    entry.words = words(text);
+    entry.refs++;
+    this.suggestions.set(key, entry);
+    return key;
+  }
+
+  removeSuggestion(key) {
+    const entry = this.suggestions.get(key);
+    if (!entry) return;
+    entry.refs--;
+    if (entry.refs <= 0) this.suggestions.delete(key);
+  }
+
+  // ===== SEARCH =====
+
+  // Index terms a query term matches, with the factor its score is multiplied by
+  expand(term, typed) {
+    const matches = new Map();
+    if (this.postings.has(term)) matches.set(term, 1);
+
+    const typos = maxTypos(term.length);
+    for (const candidate of this.postings.keys()) {
+      if (matches.size >= MAX_EXPANSIONS) break;
+      if (matches.has(candidate)) continue;
+
+      // The word being typed: complete it, or match the stem of what has been typed so far
+      if (typed && typed.length >= MIN_PREFIX_LENGTH &&
+        (candidate.startsWith(typed) || (candidate.length >= 3 && typed.startsWith(candidate)))) {
+        matches.set(candidate, PREFIX_FACTOR);
+        continue;
+      }
+      if (typos > 0) {
+        const distance = editDistance(term, candidate, typos);
+        if (distance <= typos) matches.set(candidate, TYPO_FACTORS[distance]);
+      }
+    }
+    return matches;
+  }
+
+  // Ranked post IDs for a query: [{ id, score }], best first
+  async search(query, { language, limit = 100 } = {}) {
+    const terms = [...new Set(analyze(query, language))];
+    if (terms.length === 0 || this.documents.size === 0) return [];
+
+    // Complete the last word unless the query ends with a space
+    const queryWords = words(query);
+    const typed = /[\p{L}\p{N}]$/u.test(query) ? queryWords[queryWords.length - 1] : null;
+    const lastTerm = terms[terms.length - 1];
+
+    const averageLength = this.totalLength / this.documents.size;
+    const scores = new Map();
+    for (const term of terms) {
+      // Best-matching expansion of this query term per document
+      const best = new Map();
+      for (const [indexTerm, factor] of this.expand(term, term === lastTerm ? typed : null)) {
+        const posting = this.postings.get(indexTerm);
+        const idf = Math.log(1 + (this.documents.size - posting.size + 0.5) / (posting.size + 0.5));
+        for (const [id, frequency] of posting) {
+          const { length } = this.documents.get(id);
+          const tf = (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * (length / averageLength)));
+          best.set(id, Math.max(best.get(id) || 0, idf * tf * factor));
+        }
+      }
+      for (const [id, score] of best) {
+        const entry = scores.get(id) || { score: 0, matched: 0 };
+        entry.score += score;
+        entry.matched++;
+        scores.set(id, entry);
+      }
+    }
+
+    return [...scores.entries()]
+      .map(([id, { score, matched }]) => ({ id, score: score * Math.pow(matched / terms.length, 2) }))
+      .sort((a, b) => b.score - a.score || (a.id < b.id ? -1 : 1))
+      .slice(0, limit);
+  }
+
+  // Titles, tags and categories completing a prefix: every word of the prefix must start a
+  // word of the suggestion. Suggestions starting with the whole prefix come first.
+  async suggest(prefix, { limit = 10 } = {}) {
+    const prefixWords = words(prefix);
+    if (prefixWords.length === 0) return [];
+    const whole = prefixWords.join(' ');
+
+    const matches = [];
+    for (const entry of this.suggestions.values()) {
+      const matchesAll = prefixWords.every(word => entry.words.some(entryWord => entryWord.startsWith(word)));
+      if (!matchesAll) continue;
+      matches.push({ entry, leading: entry.words.join(' ').startsWith(whole) ? 1 : 0 });
+    }
+
+    return matches
+      .sort((a, b) => b.leading - a.leading || b.entry.refs - a.entry.refs || a.entry.text.localeCompare(b.entry.text))
+      .slice(0, limit)
+      .map(({ entry }) => ({ text: entry.text, type: entry.type, id: entry.id }));
+  }
+}
+
+module.exports = { MemorySearchBackend, editDistance };
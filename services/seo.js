@@ -0,0 +1,200 @@
+// services/seo.js
+// SEO metadata for post and category pages: the resolved title and description, the canonical
+// URL, Open Graph and Twitter card tags, and schema.org JSON-LD (BlogPosting with a
+// BreadcrumbList for posts, CollectionPage with a BreadcrumbList for categories).
+// A blank metaTitle falls back to the title, a blank metaDescription to an excerpt of the text.
+const site = require('../config/site');
+const Author = require('../models/Author');
+const Category = require('../models/Category');
+const Image = require('../models/Image');
+const Tag = require('../models/Tag');
+
+// Lengths search engines show in full, matching the metaTitle/metaDescription limits
+const TITLE_LENGTH = 60;
+const DESCRIPTION_LENGTH = 160;
+// schema.org headlines longer than this are rejected by Google
+const HEADLINE_LENGTH = 110;
+
+// Cut text to at most max characters at a word boundary, marking the cut with an ellipsis
+const truncate = (text, max) => {
+  const source = String(text || '').replace(/\s+/g, ' ').trim();
+  if (source.length <= max) return source;
+  const cut = source.slice(0, max - 1);
+  const space = cut.lastIndexOf(' ');
+  return `${space > max / 2 ? cut.slice(0, space) : cut}…`;
+};
+
+// IDs of references that may or may not be populated
+const refIds = (refs) => (refs || []).map(ref => ref._id || ref);
+
+// "@handle" from a Twitter/X profile URL
+const twitterHandle = (url) => {
+  const match = /^https?:\/\/(?:www\.)?(?:twitter|x)\.com\/@?([A-Za-z0-9_]{1,15})\/?$/.exec(url || '');
+  return match ? `@${match[1]}` : null;
+};
+
+const tags = (type, entries) => {
+  return entries
+    .filter(([, content]) => content != null && content !== '')
+    .map(([name, content]) => ({ name: `${type}:${name}`, content: String(content) }));
+};
+
+// Home, then the category's ancestors and the category itself
+const breadcrumbItems = async (category) => {
+  if (!category) return [{ name: site.title, url: site.url }];
+  const ancestors = await Category.find({ _id: { $in: category.ancestors } }).select('name slug');
+  const byId = new Map(ancestors.map(ancestor => [ancestor.id, ancestor]));
+  return [
+    { name: site.title, url: site.url },
+    ...category.ancestors.map(id => byId.get(String(id))).filter(Boolean),
+    category
+  ].map(item => ({ name: item.name, url: item.url || site.categoryUrl(item) }));
+};
+
+const breadcrumbList = (items) => ({
+  '@type': 'BreadcrumbList',
+  itemListElement: items.map((item, index) => ({
+    '@type': 'ListItem',
+    position: index + 1,
+    name: item.name,
+    item: item.url
+  }))
+});
+
+// JSON for a <script> element: "<" is escaped so content such as "</script>" cannot end the element
+const toJsonLd = (data) => JSON.stringify({ '@context': 'https://schema.org', ...data }).replace(/</g, '\\u003c');
+
+const publisher = () => ({ '@type': 'Organization', name: site.title, url: site.url });
+
+// ===== POSTS =====
+
+const postSeo = async (post) => {
+  const [authors, categories, postTags, image] = await Promise.all([
+    Author.find({ _id: { $in: refIds(post.authors) } }).select('displayName slug socialLinks'),
+    Category.find({ _id: { $in: refIds(post.categories) } }).select('name slug ancestors'),
+    Tag.find({ _id: { $in: refIds(post.tags) } }).select('name'),
+    Image.findOne({ postId: post._id, status: 'ready' }).sort({ uploadedAt: 1 })
+  ]);
+  // Keep the post's order: the first category is the primary one
+  const categoriesById = new Map(categories.map(category => [category.id, category]));
+  const primaryCategory = refIds(post.categories).map(id => categoriesById.get(String(id))).find(Boolean);
+
+  const text = post.renderedContent().text;
+  const title = post.metaTitle || truncate(post.title, TITLE_LENGTH);
+  const description = post.metaDescription || truncate(text, DESCRIPTION_LENGTH);
+  const canonicalUrl = site.postUrl(post);
+  const modifiedAt = post.updatedAt || post.publishedAt;
+  const imageUrl = image ? image.url : site.defaultImage;
+  const imageAlt = image ? image.altText || image.title : null;
+  const creator = authors.map(author => {
+    const link = author.socialLinks.find(social => social.platform === 'twitter');
+    return link ? twitterHandle(link.url) : null;
+  }).find(Boolean);
+
+  const openGraph = tags('og', [
+    ['type', 'article'],
+    ['site_name', site.title],
+    ['title', title],
+    ['description', description],
+    ['url', canonicalUrl],
+    ['image', imageUrl],
+    ['image:alt', imageAlt],
+    ['image:width', image && image.width],
+    ['image:height', image && image.height]
+  ]).concat(tags('article', [
+    ['published_time', post.publishedAt && post.publishedAt.toISOString()],
+    ['modified_time', modifiedAt && modifiedAt.toISOString()],
+    ['section', primaryCategory && primaryCategory.name],
+    ...authors.map(author => ['author', site.authorUrl(author)]),
+    ...postTags.map(tag => ['tag', tag.name])
+  ]));
+
+  const twitter = tags('twitter', [
+    ['card', imageUrl ? 'summary_large_image' : 'summary'],
+    ['site', site.twitterHandle],
+    ['creator', creator],
+    ['title', title],
+    ['description', description],
+    ['image', imageUrl],
+    ['image:alt', imageAlt]
+  ]);
+
+  const blogPosting = {
+    '@type': 'BlogPosting',
+    '@id': `${canonicalUrl}#article`,
+    headline: truncate(post.title, HEADLINE_LENGTH),
+    description,
+    url: canonicalUrl,
+    mainEntityOfPage: { '@type': 'WebPage', '@id': canonicalUrl },
+    datePublished: post.publishedAt ? post.publishedAt.toISOString() : undefined,
+    dateModified: modifiedAt ? modifiedAt.toISOString() : undefined,
+    author: authors.map(author => ({ '@type': 'Person', name: author.displayName, url: site.authorUrl(author) })),
+    publisher: publisher(),
+    image: imageUrl ? [imageUrl] : undefined,
+    articleSection: primaryCategory ? primaryCategory.name : undefined,
+    keywords: postTags.length > 0 ? postTags.map(tag => tag.name).join(', ') : undefined,
+    wordCount: text ? text.split(/\s+/).filter(Boolean).length : 0,
+    inLanguage: post.language || site.language
+  };
+  const breadcrumb = breadcrumbList([
+    ...(await breadcrumbItems(primaryCategory)),
+    { name: post.title, url: canonicalUrl }
+  ]);
+
+  return {
+    title,
+    description,
+    canonicalUrl,
+    openGraph,
+    twitter,
+    jsonLd: toJsonLd({ '@graph': [blogPosting, breadcrumb] })
+  };
+};
+
+// ===== CATEGORIES =====
+
+const categorySeo = async (category) => {
+  const title = truncate(category.name, TITLE_LENGTH);
+  const description = truncate(category.description || `Posts in ${category.name} on ${site.title}`, DESCRIPTION_LENGTH);
+  const canonicalUrl = site.categoryUrl(category);
+
+  const openGraph = tags('og', [
+    ['type', 'website'],
+    ['site_name', site.title],
+    ['title', title],
+    ['description', description],
+    ['url', canonicalUrl],
+    ['image', site.defaultImage]
+  ]);
+  const twitter = tags('twitter', [
+    ['card', site.defaultImage ? 'summary_large_image' : 'summary'],
+    ['site', site.twitterHandle],
+    ['title', title],
+    ['description', description],
+    ['image', site.defaultImage]
+  ]);
+
+  const breadcrumb = breadcrumbList(await breadcrumbItems(category));
+  const collectionPage = {
+    '@type': 'CollectionPage',
+    '@id': canonicalUrl,
+    name: category.name,
+    description,
+    url: canonicalUrl,
+    isPartOf: { '@type': 'WebSite', name: site.title, url: site.url },
+    publisher: publisher(),
+    inLanguage: site.language,
+    breadcrumb
+  };
+
+  return {
+    title,
+    description,
+    canonicalUrl,
+    openGraph,
+    twitter,
+    jsonLd: toJsonLd(collectionPage)
+  };
+};
+
+module.exports = { postSeo, categorySeo };
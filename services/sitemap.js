@@ -0,0 +1,207 @@
+// services/sitemap.js
+// XML sitemaps for search engines: a sitemap index listing sitemaps of at most 50,000 URLs each,
+// for published posts (with their images), active categories, and tags and authors of
+// published posts. Post entries are stored in SitemapEntry and follow post saves and deletes
+// (utils/events.js); categories, tags and authors are few and are read directly.
+// URLs follow the frontend patterns in config/site.js.
+const logger = require('../config/logger');
+const site = require('../config/site');
+const Author = require('../models/Author');
+const Category = require('../models/Category');
+const Image = require('../models/Image');
+const Post = require('../models/Post');
+const SitemapEntry = require('../models/SitemapEntry');
+const Tag = require('../models/Tag');
+const { events } = require('../utils/events');
+const { element } = require('../utils/xml');
+
+// URLs per sitemap, the limit of the sitemap protocol
+const SITEMAP_SIZE = 50000;
+// Images per URL, the limit of the image sitemap extension
+const MAX_IMAGES = 1000;
+const BATCH_SIZE = 500;
+
+// ===== POST ENTRIES =====
+
+// URLs of the ready images of the posts, oldest upload first, by post ID
+const loadImages = async (postIds) => {
+  const images = await Image.find({ postId: { $in: postIds }, status: 'ready' })
+    .select('postId url')
+    .sort({ uploadedAt: 1 });
+  const byPost = new Map();
+  for (const image of images) {
+    const key = String(image.postId);
+    if (!byPost.has(key)) byPost.set(key, []);
+    byPost.get(key).push(image.url);
+  }
+  return byPost;
+};
+
+const writeEntries = async (posts, syncedAt) => {
+  if (posts.length === 0) return;
+  const images = await loadImages(posts.map(post => post._id));
+  await SitemapEntry.bulkWrite(posts.map(post => ({
+    updateOne: {
+      filter: { _id: post._id },
+      update: {
+        $set: {
+          slug: post.slug,
+          lastmod: post.updatedAt || post.publishedAt,
+          images: (images.get(String(post._id)) || []).slice(0, MAX_IMAGES),
+          syncedAt
+        }
+      },
+      upsert: true
+    }
+  })), { ordered: false });
+};
+
+// Add, update or remove the entry of a post after it was saved or deleted
+const refreshSitemapEntry = async (postId) => {
+  const post = await Post.findOne({ _id: postId, ...Post.publishedQuery() }).select('slug updatedAt publishedAt');
+  if (post) {
+    await writeEntries([post], new Date());
+  } else {
+    await SitemapEntry.deleteOne({ _id: postId });
+  }
+};
+
+// Rewrite the entry of every published post and drop all other entries; resolves to the number of entries
+const rebuildSitemap = async () => {
+  const startedAt = new Date();
+  let written = 0;
+  let batch;
+  let query = Post.publishedQuery(startedAt);
+
+  do {
+    batch = await Post.find(query).select('slug updatedAt publishedAt').sort({ _id: 1 }).limit(BATCH_SIZE);
+    await writeEntries(batch, startedAt);
+    written += batch.length;
+    if (batch.length > 0) {
+      query = { ...Post.publishedQuery(startedAt), _id: { $gt: batch[batch.length - 1]._id } };
+    }
+  } while (batch.length === BATCH_SIZE);
+
+  // Entries refreshed while rebuilding are newer than startedAt and stay
+  await SitemapEntry.deleteMany({ syncedAt: { $lt: startedAt } });
+  return written;
+};
+
+const onPostChanged = (postId) => {
+  refreshSitemapEntry(postId).catch(error => logger.error(`Updating the sitemap entry of post ${postId} failed:`, error));
+};
+
+// Follow post changes; the entries are built first when there are none yet
+const startSitemap = async () => {
+  events.on('post:changed', onPostChanged);
+  if (await SitemapEntry.estimatedDocumentCount() === 0) {
+    logger.info(`Sitemap built with ${await rebuildSitemap()} posts`);
+  }
+};
+
+const stopSitemap = () => {
+  events.off('post:changed', onPostChanged);
+};
+
+// ===== SITEMAPS =====
+
+// Sitemaps by name: the documents listed, their URL and last modification date, all in _id order
+const SITEMAPS = {
+  posts: {
+    model: SitemapEntry,
+    filter: async () => ({}),
+    fields: 'slug lastmod images',
+    lastmod: 'lastmod',
+    url: site.postUrl
+  },
+  categories: {
+    model: Category,
+    filter: async () => ({ isActive: true }),
+    fields: 'slug updatedAt',
+    lastmod: 'updatedAt',
+    url: site.categoryUrl
+  },
+  tags: {
+    model: Tag,
+    filter: async () => ({ _id: { $in: await Post.distinct('tags', Post.publishedQuery()) } }),
+    fields: 'name updatedAt',
+    lastmod: 'updatedAt',
+    url: site.tagUrl
+  },
+  authors: {
+    model: Author,
+    filter: async () => ({ _id: { $in: await Post.distinct('authors', Post.publishedQuery()) } }),
+    fields: 'slug updatedAt',
+    lastmod: 'updatedAt',
+    url: site.authorUrl
+  }
+};
+
+const sitemapUrl = (name, page) => `${site.sitemapUrl}/sitemap-${name}-${page}.xml`;
+
+const isoDate = (date) => (date ? new Date(date).toISOString() : null);
+
+// The sitemap index: every non-empty page of every sitemap, with the newest lastmod on the page
+const renderSitemapIndex = async () => {
+  const sitemaps = [];
+  for (const [name, sitemap] of Object.entries(SITEMAPS)) {
+    const filter = await sitemap.filter();
+    const total = await sitemap.model.countDocuments(filter);
+    for (let page = 1; (page - 1) * SITEMAP_SIZE < total; page++) {
+      const [newest] = await sitemap.model.aggregate([
+        { $match: filter },
+        { $sort: { _id: 1 } },
+        { $skip: (page - 1) * SITEMAP_SIZE },
+        { $limit: SITEMAP_SIZE },
+        { $group: { _id: null, lastmod: { $max: `$${sitemap.lastmod}` } } }
+      ]);
+      sitemaps.push(`<sitemap>${element('loc', sitemapUrl(name, page))}${element('lastmod', isoDate(newest && newest.lastmod))}</sitemap>`);
+    }
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...sitemaps,
+    '</sitemapindex>'
+  ].join('\n');
+};
+
+// One page of a sitemap, or null when there is no such sitemap or page
+const renderSitemap = async (name, page) => {
+  const sitemap = Object.prototype.hasOwnProperty.call(SITEMAPS, name) ? SITEMAPS[name] : null;
+  if (!sitemap || !Number.isInteger(page) || page < 1) return null;
+
+  const documents = await sitemap.model.find(await sitemap.filter())
+    .select(sitemap.fields)
+    .sort({ _id: 1 })
+    .skip((page - 1) * SITEMAP_SIZE)
+    .limit(SITEMAP_SIZE)
+    .lean();
+  if (documents.length === 0) return null;
+
+  const urls = documents.map(document => [
+    '<url>',
+    element('loc', sitemap.url({ ...document, id: String(document._id) })),
+    element('lastmod', isoDate(document[sitemap.lastmod])),
+    ...(document.images || []).map(url => `<image:image>${element('image:loc', url)}</image:image>`),
+    '</url>'
+  ].join(''));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">',
+    ...urls,
+    '</urlset>'
+  ].join('\n');
+};
+
+module.exports = {
+  SITEMAP_SIZE,
+  refreshSitemapEntry,
+  rebuildSitemap,
+  startSitemap,
+  stopSitemap,
+  renderSitemapIndex,
+  renderSitemap
+};
@@ -0,0 +1,172 @@
+// services/tagService.js
+// Tag assignment for posts: resolves tag IDs or names to tag documents (creating missing
+// tags on the fly) and keeps Tag.usageCount in step with the posts that reference each tag.
+// Pass the transaction session through so tag changes commit or roll back with the post.
+const mongoose = require('mongoose');
+const { UserInputError } = require('apollo-server-express');
+const Tag = require('../models/Tag');
+const Post = require('../models/Post');
+const { withTransaction } = require('../utils/transaction');
+const { escapeRegExp } = require('../utils/regex');
+const { invalidateRelatedPosts } = require('./relatedPosts');
+
+const MAX_TAGS_PER_POST = 20;
+
+const normalizeTagName = (name) => {
+  return String(name).trim().toLowerCase().replace(/\s+/g, ' ');
+};
+
+// Resolve a mix of tag IDs and names to a de-duplicated list of tag ObjectIds
+const resolveTagIds = async (inputs = [], { session } = {}) => {
+  if (inputs.length > MAX_TAGS_PER_POST) {
+    throw new UserInputError(`Cannot assign more than ${MAX_TAGS_PER_POST} tags to a post`);
+  }
+
+  const ids = [];
+  for (const input of inputs) {
+    let tag = null;
+
+    if (mongoose.Types.ObjectId.isValid(input) && String(input).length === 24) {
+      tag = await Tag.findById(input).session(session || null);
+    }
+    if (!tag) {
+      const name = normalizeTagName(input);
+      if (!name) continue;
+
+      // Aliases resolve to their canonical tag instead of creating a near-duplicate
+      tag = await Tag.findByNameOrAlias(name).session(session || null) ||
+        await Tag.findOneAndUpdate(
+          { name },
+          { $setOnInsert: { name } },
+          { upsert: true, new: true, runValidators: true, session }
+        );
+    }
+
+    if (!ids.some(id => id.equals(tag._id))) {
+      ids.push(tag._id);
+    }
+  }
+  return ids;
+};
+
+// Adjust usage counts for a post whose tags changed from previousIds to nextIds
+const syncTagUsage = async (previousIds = [], nextIds = [], { session } = {}) => {
+  const previous = new Set(previousIds.map(id => id.toString()));
+  const next = new Set(nextIds.map(id => id.toString()));
+
+  const added = [...next].filter(id => !previous.has(id));
+  const removed = [...previous].filter(id => !next.has(id));
+
+  await Tag.adjustUsage(added, 1, { session });
+  await Tag.adjustUsage(removed, -1, { session });
+  return { added, removed };
+};
+
+// Canonical tag IDs for a list of tag names or aliases (unknown names are ignored)
+const resolveTagNames = async (names = []) => {
+  const terms = names.map(normalizeTagName).filter(Boolean);
+  if (terms.length === 0) return [];
+
+  const tags = await Tag.find({ $or: [{ name: { $in: terms } }, { aliases: { $in: terms } }] }).select('_id');
+  return tags.map(tag => tag._id);
+};
+
+// Append canonical tag names for any aliases in a text search, so "js" also finds "javascript"
+const expandSearchAliases = async (query) => {
+  const terms = String(query).toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return query;
+
+  const tags = await Tag.find({ aliases: { $in: terms } }).select('name');
+  const extra = tags.map(tag => tag.name).filter(name => !terms.includes(name));
+  return extra.length > 0 ? `${query} ${extra.join(' ')}` : query;
+};
+
+// ===== TAG MANAGEMENT =====
+
+// Filter for tags whose name or an alias starts with the search text, so "js" finds "javascript"
+const tagSearchFilter = (search) => {
+  const text = normalizeTagName(search || '');
+  if (!text) return {};
+  const prefix = new RegExp(`^${escapeRegExp(text)}`);
+  return { $or: [{ name: prefix }, { aliases: prefix }] };
+};
+
+const createTag = async (fields) => {
+  const tag = new Tag(fields);
+  return await tag.save();
+};
+
+// Resolves to the updated tag, or null when there is no such tag.
+// Renames keep the old name working as an alias unless keepOldNameAsAlias is false.
+const updateTag = async (id, fields, { keepOldNameAsAlias = true } = {}) => {
+  const tag = await Tag.findById(id);
+  if (!tag) return null;
+
+  const previousName = tag.name;
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined) tag[key] = value;
+  }
+  if (keepOldNameAsAlias && fields.name && tag.name !== previousName) {
+    tag.aliases = [...tag.aliases, previousName];
+  }
+  return await tag.save();
+};
+
+// Delete a tag and remove it from every post that references it
+const deleteTag = (tagId) => withTransaction(async (session) => {
+  const tag = await Tag.findById(tagId).session(session);
+  if (!tag) return false;
+
+  const postIds = await Post.distinct('_id', { tags: tag._id }).session(session);
+  await Post.updateMany({ tags: tag._id }, { $pull: { tags: tag._id } }, { session });
+  await invalidateRelatedPosts(postIds, { session });
+  await Tag.deleteOne({ _id: tag._id }, { session });
+  return true;
+});
+
+// Fold the source tags into the target: posts are retagged, and the source names become aliases
+const mergeTags = (sourceIds, targetId) => withTransaction(async (session) => {
+  const target = await Tag.findById(targetId).session(session);
+  if (!target) {
+    throw new UserInputError('Target tag not found');
+  }
+
+  const uniqueSourceIds = [...new Set(sourceIds.map(String))].filter(id => id !== target.id);
+  if (uniqueSourceIds.length === 0) {
+    throw new UserInputError('Provide at least one source tag other than the target');
+  }
+  const sources = await Tag.find({ _id: { $in: uniqueSourceIds } }).session(session);
+  if (sources.length !== uniqueSourceIds.length) {
+    throw new UserInputError('One or more source tags were not found');
+  }
+
+  const sourceTagIds = sources.map(tag => tag._id);
+  const postIds = await Post.distinct('_id', { tags: { $in: sourceTagIds } }).session(session);
+  await Post.updateMany({ tags: { $in: sourceTagIds } }, { $addToSet: { tags: target._id } }, { session });
+  await Post.updateMany({ tags: { $in: sourceTagIds } }, { $pull: { tags: { $in: sourceTagIds } } }, { session });
+  await invalidateRelatedPosts(postIds, { session });
+
+  // Recount instead of adding the counts together: a post tagged with both a source and
+  // the target must only be counted once
+  target.usageCount = await Post.countDocuments({ tags: target._id }).session(session);
+
+  // Remove the sources before taking over their names so the alias uniqueness check passes
+  await Tag.deleteMany({ _id: { $in: sourceTagIds } }, { session });
+  target.aliases = [...target.aliases, ...sources.flatMap(tag => [tag.name, ...tag.aliases])];
+  await target.save({ session });
+  return target;
+});
+
+module.exports = {
+  MAX_TAGS_PER_POST,
+  normalizeTagName,
+  resolveTagIds,
+  resolveTagNames,
+  expandSearchAliases,
+  syncTagUsage,
+  tagSearchFilter,
+  createTag,
+  updateTag,
+  deleteTag,
+  mergeTags
+};
@@ -0,0 +1,137 @@
+// services/workflow.js
+// Editorial workflow state machine for posts.
+// Every status change goes through applyTransition, which checks the current state,
+// the actor's permissions and records the transition on the post's workflowHistory.
+const { ForbiddenError, UserInputError } = require('apollo-server-express');
+const { EDITOR_ROLES, isPostOwner } = require('../middleware/auth');
+
+// roles: may perform the action on any post
+// ownerRoles: may perform the action on posts they own
+// reviewers: assigned reviewers may perform the action
+const TRANSITIONS = {
+  submit: {
+    from: ['draft', 'changes_requested'],
+    to: 'pending',
+    roles: EDITOR_ROLES,
+    ownerRoles: ['author', 'contributor']
+  },
+  approve: {
+    from: ['pending'],
+    to: 'approved',
+    roles: EDITOR_ROLES,
+    reviewers: true
+  },
+  requestChanges: {
+    from: ['pending', 'approved'],
+    to: 'changes_requested',
+    roles: EDITOR_ROLES,
+    reviewers: true,
+    requiresComment: true
+  },
+  publish: {
+    from: ['draft', 'approved', 'scheduled'],
+    to: 'published',
+    roles: EDITOR_ROLES,
+    ownerRoles: ['author']
+  },
+  schedule: {
+    from: ['draft', 'approved', 'scheduled', 'published'],
+    to: 'scheduled',
+    roles: EDITOR_ROLES,
+    ownerRoles: ['author']
+  },
+  unschedule: {
+    from: ['scheduled'],
+    to: 'draft',
+    roles: EDITOR_ROLES,
+    ownerRoles: ['author']
+  },
+  archive: {
+    from: ['draft', 'pending', 'changes_requested', 'approved', 'scheduled', 'published'],
+    to: 'archived',
+    roles: EDITOR_ROLES,
+    ownerRoles: ['author']
+  },
+  restore: {
+    from: ['archived'],
+    to: 'draft',
+    roles: EDITOR_ROLES,
+    ownerRoles: ['author']
+  }
+};
+
+const isAssignedReviewer = (user, post) => {
+  return (post.reviewers || []).some(id => id.toString() === user.id);
+};
+
+const canPerform = (user, post, action) => {
+  const transition = TRANSITIONS[action];
+  if (!transition || !user) return false;
+  if (transition.roles.includes(user.role)) return true;
+  if (transition.reviewers && isAssignedReviewer(user, post)) return true;
+  return Boolean(transition.ownerRoles && transition.ownerRoles.includes(user.role) && isPostOwner(user, post));
+};
+
+// Actions the user could take on the post in its current state
+const availableActions = (user, post) => {
+  return Object.keys(TRANSITIONS).filter(action =>
+    TRANSITIONS[action].from.includes(post.status) && canPerform(user, post, action)
+  );
+};
+
+// Find the action that moves a post between two states (used for plain status updates)
+const findAction = (from, to, user, post) => {
+  const candidates = Object.keys(TRANSITIONS).filter(action =>
+    TRANSITIONS[action].from.includes(from) && TRANSITIONS[action].to === to
+  );
+  return candidates.find(action => !user || canPerform(user, post, action)) || candidates[0] || null;
+};
+
+// Move a post to the next state. The post is modified in place; the caller saves it.
+// Pass `system: true` for transitions made by background jobs, which skip permission checks.
+const applyTransition = (post, action, user, { comment, system = false } = {}) => {
+  const transition = TRANSITIONS[action];
+  if (!transition) {
+    throw new UserInputError(`Unknown workflow action: ${action}`);
+  }
+  if (!transition.from.includes(post.status)) {
+    throw new UserInputError(`Cannot ${action} a post that is ${post.status}`);
+  }
+  if (!system && !canPerform(user, post, action)) {
+    throw new ForbiddenError(`You do not have permission to ${action} this post`);
+  }
+  if (transition.requiresComment && !(comment && comment.trim())) {
+    throw new UserInputError(`A comment is required to ${action}`);
+  }
+
+  const from = post.status;
+  post.status = transition.to;
+  post.workflowHistory.push({
+    action,
+    from,
+    to: transition.to,
+    actor: user ? user._id : null,
+    comment: comment || undefined,
+    at: new Date()
+  });
+  return post;
+};
+
+// Move a post to the requested status, inferring the workflow action
+const transitionToStatus = (post, status, user, options = {}) => {
+  if (post.status === status) return post;
+
+  const action = findAction(post.status, status, user, post);
+  if (!action) {
+    throw new UserInputError(`Cannot change status from ${post.status} to ${status}`);
+  }
+  return applyTransition(post, action, user, options);
+};
+
+module.exports = {
+  TRANSITIONS,
+  canPerform,
+  availableActions,
+  applyTransition,
+  transitionToStatus
+};
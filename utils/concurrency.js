@@ -0,0 +1,27 @@
+// utils/concurrency.js
+// Optimistic concurrency helpers built on the numeric `version` field of Post and Category.
+const mongoose = require('mongoose');
+
+// Filter matching a document still at `version` (documents saved before versioning count as version 1)
+const versionFilter = (version) => {
+  return version === 1
+    ? { $or: [{ version: 1 }, { version: { $exists: false } }] }
+    : { version };
+};
+
+// Save a document only if nobody else has changed its version since it was loaded.
+// Resolves to false when the write lost the race.
+const saveIfVersion = async (doc, loadedVersion, options = {}) => {
+  doc.$where = versionFilter(loadedVersion);
+  try {
+    await doc.save(options);
+    return true;
+  } catch (error) {
+    if (error instanceof mongoose.Error.DocumentNotFoundError) return false;
+    throw error;
+  } finally {
+    doc.$where = undefined;
+  }
+};
+
+module.exports = { versionFilter, saveIfVersion };
@@ -0,0 +1,282 @@
+// utils/contentBlocks.js
+// Structured block content for posts (used by the mobile apps).
+// A post authored as blocks stores them in Post.blocks and its HTML content is generated from
+// them; for posts authored as HTML or markdown the blocks are derived from the rendered HTML.
+// Text in paragraph, heading, quote, list and callout blocks may contain inline markup only.
+const Joi = require('joi');
+const xss = require('xss');
+const { parse } = require('node-html-parser');
+
+const BLOCK_TYPES = ['paragraph', 'heading', 'image', 'quote', 'code', 'embed', 'list', 'callout', 'divider'];
+const LIST_STYLES = ['ordered', 'unordered'];
+const CALLOUT_VARIANTS = ['info', 'tip', 'warning', 'danger'];
+
+// Inline markup allowed in block text
+const INLINE_TAGS = {
+  strong: [],
+  em: [],
+  u: [],
+  s: [],
+  code: [],
+  sub: [],
+  sup: [],
+  br: [],
+  a: ['href', 'title']
+};
+
+const sanitizeInline = (html) => {
+  return xss(html, {
+    whiteList: INLINE_TAGS,
+    stripIgnoreTag: true,
+    stripIgnoreTagBody: ['script', 'style']
+  });
+};
+
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+// ===== VALIDATION =====
+
+const inlineText = Joi.string().trim().max(10000).custom(value => sanitizeInline(value).trim());
+const httpUrl = Joi.string().trim().uri({ scheme: ['http', 'https'] }).max(2000);
+const objectId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/).messages({
+  'string.pattern.base': 'Image ID must be a valid ObjectId'
+});
+
+const BLOCK_SCHEMAS = {
+  paragraph: {
+    text: inlineText.required()
+  },
+  heading: {
+    level: Joi.number().integer().min(1).max(6).default(2),
+    text: inlineText.required()
+  },
+  // An uploaded Image document, or an external image (blocks converted from HTML)
+  image: {
+    imageId: objectId,
+    src: httpUrl,
+    altText: Joi.string().trim().max(300).allow(''),
+    caption: inlineText.allow('')
+  },
+  quote: {
+    text: inlineText.required(),
+    citation: Joi.string().trim().max(300).allow('')
+  },
+  code: {
+    code: Joi.string().max(20000).required(),
+    language: Joi.string().trim().lowercase().pattern(/^[a-z0-9+#-]+$/).max(30)
+  },
+  embed: {
+    url: httpUrl.required(),
+    caption: inlineText.allow('')
+  },
+  list: {
+    style: Joi.string().valid(...LIST_STYLES).default('unordered'),
+    items: Joi.array().items(inlineText).min(1).max(200).required()
+  },
+  callout: {
+    variant: Joi.string().valid(...CALLOUT_VARIANTS).default('info'),
+    title: Joi.string().trim().max(200).allow(''),
+    text: inlineText.required()
+  },
+  divider: {}
+};
+
+// Each block is validated against the schema for its type
+const blockSchema = Joi.alternatives().conditional('.type', {
+  switch: BLOCK_TYPES.map(type => {
+    let schema = Joi.object({ type: Joi.string().valid(type).required(), ...BLOCK_SCHEMAS[type] });
+    if (type === 'image') {
+      schema = schema.or('imageId', 'src');
+    }
+    return { is: type, then: schema };
+  }),
+  otherwise: Joi.object({
+    type: Joi.string().valid(...BLOCK_TYPES).required()
+  }).unknown()
+});
+
+const blocksSchema = Joi.array().items(blockSchema).max(500);
+
+// Validate and normalize blocks; null fields (as sent by GraphQL clients) are dropped first.
+// Resolves to { value, error } like Joi.
+const validateBlocks = (blocks) => {
+  const cleaned = (blocks || []).map(block => {
+    const plain = block && typeof block.toObject === 'function' ? block.toObject() : block;
+    return Object.fromEntries(Object.entries(plain || {}).filter(([, value]) => value !== null && value !== undefined));
+  });
+  return blocksSchema.validate(cleaned, { stripUnknown: true });
+};
+
+// ===== CONVERSION =====
+
+// Name of the service behind an embed URL
+const embedProvider = (url) => {
+  let host;
+  try {
+    host = new URL(url).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+  if (host === 'youtu.be' || host.endsWith('youtube.com')) return 'youtube';
+  if (host.endsWith('vimeo.com')) return 'vimeo';
+  if (host === 'x.com' || host.endsWith('twitter.com')) return 'twitter';
+  return host;
+};
+
+const renderBlock = (block, images) => {
+  switch (block.type) {
+    case 'paragraph':
+      return `<p>${block.text}</p>`;
+    case 'heading':
+      return `<h${block.level}>${block.text}</h${block.level}>`;
+    case 'image': {
+      const image = block.imageId ? images.get(String(block.imageId)) : null;
+      const src = image ? image.url : block.src;
+      if (!src) return '';
+      const alt = block.altText || (image && image.altText) || '';
+      const size = image && image.width && image.height ? ` width="${image.width}" height="${image.height}"` : '';
+      const caption = block.caption ? `<figcaption>${block.caption}</figcaption>` : '';
+      return `<figure><img src="${escapeHtml(src)}" alt="${escapeHtml(alt)}"${size}>${caption}</figure>`;
+    }
+    case 'quote': {
+      const citation = block.citation ? `<cite>${escapeHtml(block.citation)}</cite>` : '';
+      return `<blockquote><p>${block.text}</p>${citation}</blockquote>`;
+    }
+    case 'code': {
+      const language = block.language ? ` class="language-${block.language}"` : '';
+      return `<pre><code${language}>${escapeHtml(block.code)}</code></pre>`;
+    }
+    case 'embed': {
+      const caption = block.caption ? `<figcaption>${block.caption}</figcaption>` : '';
+      return `<figure class="embed"><a href="${escapeHtml(block.url)}">${escapeHtml(block.url)}</a>${caption}</figure>`;
+    }
+    case 'list': {
+      const tag = block.style === 'ordered' ? 'ol' : 'ul';
+      return `<${tag}>${block.items.map(item => `<li>${item}</li>`).join('')}</${tag}>`;
+    }
+    case 'callout': {
+      const title = block.title ? ` title="${escapeHtml(block.title)}"` : '';
+      return `<aside class="callout callout-${block.variant}"${title}><p>${block.text}</p></aside>`;
+    }
+    case 'divider':
+      return '<hr>';
+    default:
+      return '';
+  }
+};
+
+// Render validated blocks to HTML. images maps Image IDs to Image documents.
+const blocksToHtml = (blocks, images = new Map()) => {
+  return blocks.map(block => renderBlock(block, images)).filter(Boolean).join('\n');
+};
+
+// Inner HTML of the <p> children of an element, or of the element itself when it has none
+const innerText = (element) => {
+  const paragraphs = element.querySelectorAll('p');
+  if (paragraphs.length === 0) return element.innerHTML.trim();
+  return paragraphs.map(paragraph => paragraph.innerHTML.trim()).join('<br>');
+};
+
+const imageBlock = (img, caption) => ({
+  type: 'image',
+  src: img.getAttribute('src'),
+  altText: img.getAttribute('alt') || '',
+  caption: caption || ''
+});
+
+const elementToBlocks = (node) => {
+  // Loose text between elements
+  if (node.nodeType === 3) {
+    const text = node.text.trim();
+    return text ? [{ type: 'paragraph', text: escapeHtml(text) }] : [];
+  }
+  if (node.nodeType !== 1) return [];
+
+  const tag = node.tagName;
+  if (/^H[1-6]$/.test(tag)) {
+    return [{ type: 'heading', level: Number(tag.slice(1)), text: node.innerHTML.trim() }];
+  }
+
+  switch (tag) {
+    case 'P': {
+      const children = node.childNodes.filter(child => child.nodeType === 1 || child.text.trim());
+      if (children.length === 1 && children[0].tagName === 'IMG') {
+        return [imageBlock(children[0])];
+      }
+      const text = node.innerHTML.trim();
+      return text ? [{ type: 'paragraph', text }] : [];
+    }
+    case 'IMG':
+      return [imageBlock(node)];
+    case 'FIGURE': {
+      const caption = node.querySelector('figcaption');
+      const captionHtml = caption ? caption.innerHTML.trim() : '';
+      const link = node.querySelector('a');
+      if (node.classList.contains('embed') && link) {
+        return [{ type: 'embed', url: link.getAttribute('href'), caption: captionHtml }];
+      }
+      const img = node.querySelector('img');
+      return img ? [imageBlock(img, captionHtml)] : [];
+    }
+    case 'BLOCKQUOTE': {
+      const cite = node.querySelector('cite');
+      const citation = cite ? cite.text.trim() : '';
+      if (cite) cite.remove();
+      return [{ type: 'quote', text: innerText(node), citation }];
+    }
+    case 'PRE': {
+      const code = node.querySelector('code') || node;
+      const match = (code.getAttribute('class') || '').match(/language-([a-z0-9+#-]+)/i);
+      const block = { type: 'code', code: code.text.replace(/\n$/, '') };
+      if (match) block.language = match[1].toLowerCase();
+      return [block];
+    }
+    case 'UL':
+    case 'OL': {
+      const items = node.childNodes
+        .filter(child => child.tagName === 'LI')
+        .map(item => innerText(item))
+        .filter(Boolean);
+      return items.length > 0 ? [{ type: 'list', style: tag === 'OL' ? 'ordered' : 'unordered', items }] : [];
+    }
+    case 'ASIDE': {
+      const match = (node.getAttribute('class') || '').match(/callout-(\w+)/);
+      const variant = match && CALLOUT_VARIANTS.includes(match[1]) ? match[1] : 'info';
+      return [{ type: 'callout', variant, title: node.getAttribute('title') || '', text: innerText(node) }];
+    }
+    case 'HR':
+      return [{ type: 'divider' }];
+    case 'DIV':
+    case 'SECTION':
+    case 'ARTICLE':
+      return node.childNodes.flatMap(elementToBlocks);
+    default: {
+      // Anything else (tables, ...) degrades to its text
+      const text = node.text.replace(/\s+/g, ' ').trim();
+      return text ? [{ type: 'paragraph', text: escapeHtml(text) }] : [];
+    }
+  }
+};
+
+// Convert (sanitized) HTML to blocks. Images are referenced by src; match them to Image documents separately.
+const htmlToBlocks = (html) => {
+  const root = parse(String(html || ''), { blockTextElements: { script: true, style: true } });
+  return root.childNodes.flatMap(elementToBlocks);
+};
+
+module.exports = {
+  BLOCK_TYPES,
+  LIST_STYLES,
+  CALLOUT_VARIANTS,
+  blockSchema,
+  validateBlocks,
+  embedProvider,
+  blocksToHtml,
+  htmlToBlocks
+};
@@ -0,0 +1,114 @@
+// utils/contentRenderer.js
+// Renders post content to sanitized HTML.
+// Markdown is rendered with markdown-it (footnotes, fenced code blocks with language-* classes);
+// HTML is taken as is. Either way the result is sanitized, every heading gets an anchor ID and
+// the table of contents and plain text are extracted from the final markup.
+const MarkdownIt = require('markdown-it');
+const footnote = require('markdown-it-footnote');
+const xss = require('xss');
+const { parse } = require('node-html-parser');
+const { slugify } = require('./slug');
+
+const CONTENT_FORMATS = ['markdown', 'html'];
+
+// Raw HTML inside markdown is allowed here because the output is sanitized below
+const markdown = new MarkdownIt({ html: true, linkify: true }).use(footnote);
+
+// Tags and attributes kept in rendered content
+const ALLOWED_TAGS = {
+  p: [],
+  br: [],
+  hr: ['class'],
+  strong: [],
+  em: [],
+  u: [],
+  s: [],
+  del: [],
+  sub: [],
+  sup: ['class'],
+  h1: ['id'],
+  h2: ['id'],
+  h3: ['id'],
+  h4: ['id'],
+  h5: ['id'],
+  h6: ['id'],
+  ul: [],
+  ol: ['class', 'start'],
+  li: ['id', 'class'],
+  blockquote: [],
+  cite: [],
+  figure: ['class'],
+  figcaption: [],
+  aside: ['class', 'title'],
+  a: ['href', 'title', 'id', 'class'],
+  img: ['src', 'alt', 'title', 'width', 'height'],
+  code: ['class'],
+  pre: [],
+  table: [],
+  thead: [],
+  tbody: [],
+  tr: [],
+  th: ['style'],
+  td: ['style'],
+  section: ['class']
+};
+
+const sanitizeHtml = (html) => {
+  return xss(html, {
+    whiteList: ALLOWED_TAGS,
+    stripIgnoreTag: true,
+    stripIgnoreTagBody: ['script', 'style']
+  });
+};
+
+// Give every heading a unique anchor ID and return the table of contents
+const addHeadingAnchors = (root) => {
+  const headings = root.querySelectorAll('h1, h2, h3, h4, h5, h6');
+  // IDs used elsewhere in the content, e.g. footnotes
+  const used = new Set(root.querySelectorAll('[id]')
+    .filter(element => !headings.includes(element))
+    .map(element => element.id));
+
+  const toc = [];
+  for (const heading of headings) {
+    const text = heading.text.trim();
+    if (!text) continue;
+
+    const base = slugify(text) || 'section';
+    let anchor = base;
+    for (let suffix = 2; used.has(anchor); suffix++) {
+      anchor = `${base}-${suffix}`;
+    }
+    used.add(anchor);
+
+    heading.setAttribute('id', anchor);
+    toc.push({ level: Number(heading.tagName.slice(1)), text, anchor });
+  }
+  return toc;
+};
+
+// Parse code blocks as markup too, so their text is extracted like everything else
+const PARSE_OPTIONS = { blockTextElements: { script: true, style: true } };
+
+// Plain text of rendered HTML, one line per block, without footnote back-links
+const extractText = (html) => {
+  const root = parse(html, PARSE_OPTIONS);
+  root.querySelectorAll('.footnote-backref').forEach(element => element.remove());
+  return root.structuredText
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .join('\n');
+};
+
+// Render content in the given format to { html, text, toc }
+const renderContent = (source, format = 'html') => {
+  const raw = format === 'markdown' ? markdown.render(String(source || '')) : String(source || '');
+  const root = parse(sanitizeHtml(raw), PARSE_OPTIONS);
+  const toc = addHeadingAnchors(root);
+  const html = root.toString();
+
+  return { html, text: extractText(html), toc };
+};
+
+module.exports = { CONTENT_FORMATS, sanitizeHtml, renderContent };
@@ -0,0 +1,19 @@
+// utils/events.js
+// In-process change notifications, so models can announce changes without depending on the
+// services that react to them (e.g. the search index).
+// Events carry only the document ID. When the change happened inside a transaction the event
+// waits until the session has ended; listeners reload the document and therefore always see
+// committed data, also when the transaction was rolled back.
+const { EventEmitter } = require('events');
+
+const events = new EventEmitter();
+
+const emitAfterCommit = (name, id, session) => {
+  if (session && !session.hasEnded) {
+    session.once('ended', () => events.emit(name, id));
+  } else {
+    events.emit(name, id);
+  }
+};
+
+module.exports = { events, emitAfterCommit };
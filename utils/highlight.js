@@ -0,0 +1,82 @@
+// utils/highlight.js
+// Highlighting of search terms in result titles and content snippets.
+// The output is HTML: the text is escaped and every match is wrapped in <mark>.
+// MongoDB matches stemmed words, so a term also highlights the words it starts
+// (e.g. "run" highlights "running").
+const { escapeRegExp } = require('./regex');
+
+const SNIPPET_LENGTH = 200;
+
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+// Terms of a $text search query: quoted phrases and single words; negated words (-word) are left out
+const searchTerms = (query) => {
+  const terms = [];
+  const rest = String(query || '').replace(/"([^"]+)"/g, (_, phrase) => {
+    terms.push(phrase.trim());
+    return ' ';
+  });
+  for (const word of rest.split(/\s+/)) {
+    if (!word || word.startsWith('-')) continue;
+    terms.push(...word.split(/[^\p{L}\p{N}]+/u));
+  }
+  return [...new Set(terms.map(term => term.toLowerCase()).filter(term => term.length > 1))];
+};
+
+// Pattern matching any of the terms at the start of a word, or null without terms
+const termPattern = (terms) => {
+  if (terms.length === 0) return null;
+  // Longest first, so a phrase wins over the words in it
+  const alternatives = [...terms].sort((a, b) => b.length - a.length).map(escapeRegExp);
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})[\\p{L}\\p{N}]*`, 'giu');
+};
+
+// Escape text and wrap every match of the pattern in <mark>
+const highlight = (text, pattern) => {
+  const source = String(text || '');
+  if (!pattern) return escapeHtml(source);
+
+  let html = '';
+  let last = 0;
+  for (const match of source.matchAll(pattern)) {
+    html += `${escapeHtml(source.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  return html + escapeHtml(source.slice(last));
+};
+
+// A highlighted excerpt of about `length` characters around the first match (the start of the
+// text when nothing matches), cut at word boundaries
+const snippet = (text, pattern, length = SNIPPET_LENGTH) => {
+  const source = String(text || '').replace(/\s+/g, ' ').trim();
+  if (source.length <= length) return highlight(source, pattern);
+
+  let start = 0;
+  if (pattern) {
+    pattern.lastIndex = 0;
+    const match = pattern.exec(source);
+    pattern.lastIndex = 0;
+    // Keep some context before the match
+    if (match) start = Math.max(0, match.index - Math.floor(length / 3));
+  }
+  if (start > 0) {
+    const space = source.indexOf(' ', start);
+    start = space === -1 ? start : space + 1;
+  }
+
+  let end = Math.min(source.length, start + length);
+  if (end < source.length) {
+    const space = source.lastIndexOf(' ', end);
+    end = space > start ? space : end;
+  }
+
+  return `${start > 0 ? '… ' : ''}${highlight(source.slice(start, end), pattern)}${end < source.length ? ' …' : ''}`;
+};
+
+module.exports = { SNIPPET_LENGTH, searchTerms, termPattern, highlight, snippet };
@@ -0,0 +1,203 @@
+// utils/pagination.js
+// Relay-style cursor pagination over Mongoose models.
+// Cursors are opaque base64url strings holding the sort field, the sort value and the _id of
+// the last node, so a page boundary stays stable whatever the sort order and even when
+// documents are inserted or removed between requests.
+const mongoose = require('mongoose');
+const { UserInputError } = require('apollo-server-express');
+
+const DEFAULT_PAGE_SIZE = parseInt(process.env.DEFAULT_PAGE_SIZE, 10) || 20;
+const MAX_PAGE_SIZE = parseInt(process.env.MAX_PAGE_SIZE, 10) || 100;
+
+// Sort field name used for MongoDB text search relevance
+const TEXT_SCORE_FIELD = '_score';
+
+// ===== CURSORS =====
+
+const encodeCursor = (field, value, id) => {
+  const payload = { f: field, id: id.toString() };
+  if (value instanceof Date) {
+    payload.d = value.toISOString();
+  } else {
+    payload.v = value === undefined ? null : value;
+  }
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const decodeCursor = (cursor, field) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new UserInputError('Invalid cursor');
+  }
+
+  if (!payload || !mongoose.Types.ObjectId.isValid(payload.id)) {
+    throw new UserInputError('Invalid cursor');
+  }
+  if (payload.f !== field) {
+    throw new UserInputError('Cursor does not match the requested sort order');
+  }
+
+  return {
+    value: payload.d !== undefined ? new Date(payload.d) : payload.v,
+    id: new mongoose.Types.ObjectId(payload.id)
+  };
+};
+
+// ===== QUERY BUILDING =====
+
+// Conditions selecting documents strictly after the cursor position when sorting by
+// `field` in `direction` (1 or -1) with _id as tie-breaker. MongoDB sorts null/missing
+// values first ascending and last descending, so they need explicit handling.
+const afterCondition = (field, direction, { value, id }) => {
+  const idComparison = direction === 1 ? { $gt: id } : { $lt: id };
+
+  if (value === null || value === undefined) {
+    return direction === 1
+      ? { $or: [{ [field]: { $ne: null } }, { [field]: null, _id: idComparison }] }
+      : { [field]: null, _id: idComparison };
+  }
+
+  const valueComparison = direction === 1 ? { $gt: value } : { $lt: value };
+  const conditions = [
+    { [field]: valueComparison },
+    { [field]: value, _id: idComparison }
+  ];
+  if (direction === -1) {
+    conditions.push({ [field]: null });
+  }
+  return { $or: conditions };
+};
+
+const clampPageSize = (size, argName) => {
+  if (size === undefined || size === null) return null;
+  if (!Number.isInteger(size) || size < 0) {
+    throw new UserInputError(`${argName} must be a non-negative integer`);
+  }
+  return Math.min(size, MAX_PAGE_SIZE);
+};
+
+// Paginate a model query into a Relay connection.
+//   filter    - Mongoose filter (may contain $text when sorting by relevance)
+//   sortField - field to sort by, or TEXT_SCORE_FIELD for text search relevance
+//   direction - 1 for ascending, -1 for descending
+//   args      - the connection arguments { first, after, last, before }
+//   toNode    - turns a raw row into the edge's node (hydrates a document by default); rows of
+//               text searches carry the relevance in TEXT_SCORE_FIELD
+const paginate = async (Model, { filter = {}, sortField, direction = -1, args = {}, toNode }) => {
+  const first = clampPageSize(args.first, 'first');
+  const last = clampPageSize(args.last, 'last');
+  if (first !== null && last !== null) {
+    throw new UserInputError('Passing both first and last is not supported');
+  }
+
+  const backward = last !== null || (first === null && Boolean(args.before));
+  const limit = backward ? (last ?? DEFAULT_PAGE_SIZE) : (first ?? DEFAULT_PAGE_SIZE);
+
+  const casted = Model.find().cast(Model, { ...filter });
+  const cursorConditions = [];
+  if (args.after) {
+    cursorConditions.push(afterCondition(sortField, direction, decodeCursor(args.after, sortField)));
+  }
+  if (args.before) {
+    cursorConditions.push(afterCondition(sortField, -direction, decodeCursor(args.before, sortField)));
+  }
+
+  // Walk the sort order in reverse for backward pagination and flip the page afterwards
+  const walkDirection = backward ? -direction : direction;
+  const pipeline = [{ $match: casted }];
+  if (sortField === TEXT_SCORE_FIELD || filter.$text) {
+    pipeline.push({ $addFields: { [TEXT_SCORE_FIELD]: { $meta: 'textScore' } } });
+  }
+  if (cursorConditions.length > 0) {
+    pipeline.push({ $match: { $and: cursorConditions } });
+  }
+  pipeline.push(
+    { $sort: { [sortField]: walkDirection, _id: walkDirection } },
+    { $limit: limit + 1 }
+  );
+
+  const rows = limit > 0 ? await Model.aggregate(pipeline) : [];
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit);
+  if (backward) page.reverse();
+
+  const edges = page.map(row => ({
+    cursor: encodeCursor(sortField, row[sortField], row._id),
+    node: toNode ? toNode(row) : Model.hydrate(row)
+  }));
+
+  return {
+    edges,
+    pageInfo: {
+      hasNextPage: backward ? Boolean(args.before) : hasMore,
+      hasPreviousPage: backward ? hasMore : Boolean(args.after),
+      startCursor: edges.length > 0 ? edges[0].cursor : null,
+      endCursor: edges.length > 0 ? edges[edges.length - 1].cursor : null
+    },
+    // Resolved lazily, only when the client selects totalCount
+    totalCount: () => Model.countDocuments(filter)
+  };
+};
+
+// Paginate a list that is already ranked, e.g. search backend hits [{ id, score }] sorted by score
+// (descending) and id. Cursors hold the score like those of relevance-sorted paginate results.
+// load(ids) resolves to the documents of one page in any order; hits whose document is gone are skipped.
+const paginateRanked = async (hits, { args = {}, load }) => {
+  const first = clampPageSize(args.first, 'first');
+  const last = clampPageSize(args.last, 'last');
+  if (first !== null && last !== null) {
+    throw new UserInputError('Passing both first and last is not supported');
+  }
+
+  // Whether a hit comes after the cursor position in ranking order
+  const follows = (hit, { value, id }) => {
+    return hit.score < value || (hit.score === value && String(hit.id) > id.toString());
+  };
+
+  let window = hits;
+  if (args.after) {
+    const cursor = decodeCursor(args.after, TEXT_SCORE_FIELD);
+    window = window.filter(hit => follows(hit, cursor));
+  }
+  if (args.before) {
+    const cursor = decodeCursor(args.before, TEXT_SCORE_FIELD);
+    window = window.filter(hit => !follows(hit, cursor) && String(hit.id) !== cursor.id.toString());
+  }
+
+  const backward = last !== null || (first === null && Boolean(args.before));
+  const limit = backward ? (last ?? DEFAULT_PAGE_SIZE) : (first ?? DEFAULT_PAGE_SIZE);
+  const page = backward ? window.slice(Math.max(0, window.length - limit)) : window.slice(0, limit);
+  const hasMore = window.length > page.length;
+
+  const documents = page.length > 0 ? await load(page.map(hit => hit.id)) : [];
+  const byId = new Map(documents.map(document => [String(document._id), document]));
+  const edges = page
+    .filter(hit => byId.has(String(hit.id)))
+    .map(hit => ({
+      cursor: encodeCursor(TEXT_SCORE_FIELD, hit.score, hit.id),
+      node: byId.get(String(hit.id))
+    }));
+
+  return {
+    edges,
+    pageInfo: {
+      hasNextPage: backward ? Boolean(args.before) : hasMore,
+      hasPreviousPage: backward ? hasMore : Boolean(args.after),
+      startCursor: edges.length > 0 ? edges[0].cursor : null,
+      endCursor: edges.length > 0 ? edges[edges.length - 1].cursor : null
+    },
+    totalCount: hits.length
+  };
+};
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  TEXT_SCORE_FIELD,
+  encodeCursor,
+  decodeCursor,
+  paginate,
+  paginateRanked
+};
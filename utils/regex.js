@@ -0,0 +1,7 @@
+// utils/regex.js
+// Helpers for building regular expressions from user input.
+
+// Escape characters with special meaning so user input matches literally
+const escapeRegExp = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = { escapeRegExp };
@@ -0,0 +1,103 @@
+// utils/resources.js
+// REST representations of posts, categories and tags. The Joi schemas list the fields a client
+// can select with ?fields= (middleware/validation.js) and describe the responses in the
+// OpenAPI document (routes/openapi.js); toResource and toPage build the JSON responses.
+const Joi = require('joi');
+const mongoose = require('mongoose');
+
+const id = Joi.string().description('ObjectId');
+const ids = Joi.array().items(id);
+
+const postResource = Joi.object({
+  id,
+  title: Joi.string(),
+  slug: Joi.string(),
+  status: Joi.string(),
+  language: Joi.string(),
+  content: Joi.string(),
+  contentFormat: Joi.string(),
+  contentHtml: Joi.string().description('Rendered and sanitized content'),
+  excerpt: Joi.string(),
+  blocks: Joi.array().items(Joi.object().unknown()),
+  categories: ids,
+  tags: ids,
+  authors: ids,
+  featured: Joi.boolean(),
+  commentsEnabled: Joi.boolean(),
+  metaTitle: Joi.string(),
+  metaDescription: Joi.string(),
+  readingTime: Joi.number().integer(),
+  viewCount: Joi.number().integer(),
+  commentCount: Joi.number().integer(),
+  version: Joi.number().integer(),
+  scheduledFor: Joi.date(),
+  unpublishAt: Joi.date(),
+  publishedAt: Joi.date(),
+  createdAt: Joi.date(),
+  updatedAt: Joi.date()
+});
+
+const categoryResource = Joi.object({
+  id,
+  name: Joi.string(),
+  slug: Joi.string(),
+  description: Joi.string(),
+  parent: id,
+  ancestors: ids,
+  color: Joi.string(),
+  icon: Joi.string(),
+  sortOrder: Joi.number().integer(),
+  isActive: Joi.boolean(),
+  version: Joi.number().integer(),
+  createdAt: Joi.date(),
+  updatedAt: Joi.date()
+});
+
+const tagResource = Joi.object({
+  id,
+  name: Joi.string(),
+  description: Joi.string(),
+  color: Joi.string(),
+  aliases: Joi.array().items(Joi.string()),
+  usageCount: Joi.number().integer(),
+  createdAt: Joi.date(),
+  updatedAt: Joi.date()
+});
+
+const resourceFields = (resource) => Object.keys(resource.describe().keys);
+
+// ObjectIds become strings and subdocuments plain objects; missing values are null
+const toJsonValue = (value) => {
+  if (value instanceof mongoose.Types.ObjectId) return String(value);
+  if (Array.isArray(value)) return value.map(toJsonValue);
+  if (value && typeof value.toObject === 'function') return value.toObject();
+  return value ?? null;
+};
+
+// The selected fields of a document (all of them when fields is empty); id is always included.
+// getters compute fields that are not stored as they are returned.
+const toResource = (document, resource, fields, getters = {}) => {
+  const names = fields && fields.length > 0
+    ? ['id', ...fields.filter(field => field !== 'id')]
+    : resourceFields(resource);
+  return Object.fromEntries(names.map(name => {
+    const value = getters[name] ? getters[name](document) : document[name];
+    return [name, toJsonValue(value)];
+  }));
+};
+
+// A list response from a page of utils/pagination.js
+const toPage = async (connection, toNode) => ({
+  data: connection.edges.map(edge => toNode(edge.node)),
+  pageInfo: connection.pageInfo,
+  totalCount: await connection.totalCount()
+});
+
+module.exports = {
+  postResource,
+  categoryResource,
+  tagResource,
+  resourceFields,
+  toResource,
+  toPage
+};
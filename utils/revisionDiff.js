@@ -0,0 +1,34 @@
+// utils/revisionDiff.js
+// Computes field-by-field diffs between two post revisions.
+const { diffLines, diffWords } = require('diff');
+const PostRevision = require('../models/PostRevision');
+
+// Array fields are compared one entry per line
+const fieldToText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(item => `${item}\n`).join('');
+  return String(value);
+};
+
+const diffRevisions = (fromRevision, toRevision, granularity = 'LINE') => {
+  const diffText = granularity === 'WORD' ? diffWords : diffLines;
+  const fields = [];
+
+  for (const field of PostRevision.SNAPSHOT_FIELDS) {
+    const before = fieldToText(fromRevision[field]);
+    const after = fieldToText(toRevision[field]);
+    if (before === after) continue;
+
+    const changes = (Array.isArray(fromRevision[field]) ? diffLines : diffText)(before, after)
+      .map(change => ({
+        value: change.value,
+        added: Boolean(change.added),
+        removed: Boolean(change.removed)
+      }));
+    fields.push({ field, changes });
+  }
+
+  return fields;
+};
+
+module.exports = { diffRevisions };
@@ -0,0 +1,30 @@
+// utils/slug.js
+// Shared slug generation used by models and migrations.
+// Unicode text is transliterated to ASCII first, so "Crème brûlée" becomes "creme-brulee"
+// and non-Latin titles still produce a usable slug.
+const { transliterate } = require('transliteration');
+
+const MAX_SLUG_LENGTH = 100;
+
+const slugify = (value) => {
+  return transliterate(String(value || ''))
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, '') // Remove special characters
+    .replace(/\s+/g, '-') // Replace spaces with hyphens
+    .replace(/-+/g, '-') // Replace multiple hyphens with single
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/^-|-$/g, '') // Trim leading/trailing hyphens
+    .trim();
+};
+
+// First free slug of the form base, base-2, base-3, ... according to isTaken(slug)
+const uniqueSlug = async (base, isTaken) => {
+  let slug = base;
+  for (let suffix = 2; await isTaken(slug); suffix++) {
+    const ending = `-${suffix}`;
+    slug = `${base.slice(0, MAX_SLUG_LENGTH - ending.length).replace(/-$/, '')}${ending}`;
+  }
+  return slug;
+};
+
+module.exports = { MAX_SLUG_LENGTH, slugify, uniqueSlug };
@@ -0,0 +1,8 @@
+// utils/transaction.js
+// Runs a unit of work inside a MongoDB transaction (requires a replica set, which Atlas provides).
+// Mongoose retries transient transaction errors and rolls back document state on abort.
+const mongoose = require('mongoose');
+
+const withTransaction = (work) => mongoose.connection.transaction(work);
+
+module.exports = { withTransaction };
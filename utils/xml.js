@@ -0,0 +1,20 @@
+// utils/xml.js
+// Helpers for writing XML documents (feeds, sitemaps) as strings.
+
+// Escape text for XML, dropping characters XML 1.0 does not allow
+const escapeXml = (value) => {
+  return String(value ?? '')
+    .replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+// An element with escaped text content, or nothing for an empty value
+const element = (name, value, attributes = '') => {
+  return value == null || value === '' ? '' : `<${name}${attributes}>${escapeXml(value)}</${name}>`;
+};
+
+module.exports = { escapeXml, element };